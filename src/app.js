@@ -1,7 +1,7 @@
 import express from "express";
 import cors from "cors";
 import cookiesParser from "cookie-parser";
-import multer from "multer";
+import { parseFormFields } from "./middlewares/multer.middleware.js";
 
 const app = express();
 
@@ -21,15 +21,32 @@ app.use(
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ limit: "16kb", extended: true }));
 app.use(cookiesParser());
-app.use(multer().none());
 app.use(express.static("public"));
 
 // Import routes
 import userRouter from "./routes/user.routes.js";
 import taskRouter from "./routes/task.routes.js";
+import projectRouter from "./routes/project.routes.js";
+import attachmentRouter from "./routes/attachment.routes.js";
+import labelRouter from "./routes/label.routes.js";
+import viewRouter from "./routes/view.routes.js";
+import notificationRouter from "./routes/notification.routes.js";
+import webhookRouter from "./routes/webhook.routes.js";
+import calendarRouter from "./routes/calendar.routes.js";
+import taskImportRouter from "./routes/taskImport.routes.js";
 
 // Routes Declaration
-app.use("/api/v1/users", userRouter);
-app.use("/api/v1/tasks", taskRouter);
+// Multipart text fields are parsed per router so that upload routes can
+// read their files first
+app.use("/api/v1/users", parseFormFields, userRouter);
+app.use("/api/v1/tasks/:id/attachments", attachmentRouter);
+app.use("/api/v1/tasks/import", taskImportRouter);
+app.use("/api/v1/tasks", parseFormFields, taskRouter);
+app.use("/api/v1/projects", parseFormFields, projectRouter);
+app.use("/api/v1/labels", parseFormFields, labelRouter);
+app.use("/api/v1/views", parseFormFields, viewRouter);
+app.use("/api/v1/notifications", parseFormFields, notificationRouter);
+app.use("/api/v1/webhooks", parseFormFields, webhookRouter);
+app.use("/api/v1/calendar", calendarRouter);
 
 export { app };
@@ -1,3 +1,45 @@
 const DB_NAME = "TaskManagementDB";
 
-export { DB_NAME };
+// Roles a user can hold inside a project, from most to least privileged
+const PROJECT_ROLES = ["owner", "admin", "member", "viewer"];
+
+// Project roles allowed to create and change the project's tasks
+const PROJECT_TASK_EDITOR_ROLES = ["owner", "admin", "member"];
+
+// Project roles allowed to manage the project itself and its members
+const PROJECT_MANAGER_ROLES = ["owner", "admin"];
+
+// Permission levels on a single task, from least to most privileged
+const TASK_PERMISSIONS = ["view", "comment", "edit", "manage"];
+
+// Permission levels that can be granted when sharing a task
+const TASK_SHARE_PERMISSIONS = ["view", "comment", "edit"];
+
+// Task fields lists of tasks can be sorted by
+const TASK_SORT_FIELDS = [
+  "dueDate",
+  "createdAt",
+  "updatedAt",
+  "priority",
+  "status",
+  "title",
+];
+
+// Task events webhooks can subscribe to
+const WEBHOOK_EVENTS = [
+  "task.created",
+  "task.updated",
+  "task.status_changed",
+  "task.deleted",
+];
+
+export {
+  DB_NAME,
+  PROJECT_ROLES,
+  PROJECT_TASK_EDITOR_ROLES,
+  PROJECT_MANAGER_ROLES,
+  TASK_PERMISSIONS,
+  TASK_SHARE_PERMISSIONS,
+  TASK_SORT_FIELDS,
+  WEBHOOK_EVENTS,
+};
@@ -0,0 +1,136 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Attachment } from "../models/attachment.model.js";
+import { findTaskForUser, assertTaskAccess } from "../utils/taskAccess.js";
+import { getFileStorage } from "../utils/fileStorage.js";
+
+// Find an attachment belonging to a task
+const findTaskAttachment = async (task, attachmentId) => {
+  if (!mongoose.isValidObjectId(attachmentId)) {
+    throw new ApiError(400, "Invalid attachment ID.");
+  }
+
+  const attachment = await Attachment.findOne({
+    _id: attachmentId,
+    task: task._id,
+  }).select("+storageKey");
+
+  if (!attachment) {
+    throw new ApiError(404, "Attachment not found.");
+  }
+
+  return attachment;
+};
+
+// Upload an attachment to a task
+const uploadTaskAttachment = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "A file is required in the 'file' field.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  // Save the file first, then record it
+  const storage = getFileStorage();
+  const storageKey = await storage.save(req.file.buffer, {
+    prefix: String(task._id),
+    originalName: req.file.originalname,
+  });
+
+  // Don't leave the stored file behind if it cannot be recorded
+  let attachment;
+  try {
+    attachment = await Attachment.create({
+      task: task._id,
+      uploadedBy: req.user._id,
+      originalName: req.file.originalname,
+      mimeType: req.file.mimetype,
+      size: req.file.size,
+      storageKey,
+    });
+  } catch (error) {
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
+  }
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...attachment.toObject(), storageKey: undefined },
+        "Attachment uploaded successfully."
+      )
+    );
+});
+
+// List a task's attachments
+const getTaskAttachments = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+
+  const attachments = await Attachment.find({ task: task._id })
+    .populate("uploadedBy", "username fullName email")
+    .sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, attachments, "Attachments retrieved successfully.")
+    );
+});
+
+// Stream an attachment to the client
+const downloadTaskAttachment = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  const attachment = await findTaskAttachment(task, req.params.attachmentId);
+
+  const stream = getFileStorage().createReadStream(attachment.storageKey);
+
+  stream.on("error", (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res
+        .status(404)
+        .json(new ApiResponse(404, {}, "Attachment file is missing."));
+    }
+  });
+
+  stream.once("open", () => {
+    res.setHeader("Content-Type", attachment.mimeType);
+    res.setHeader("Content-Length", attachment.size);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`
+    );
+    stream.pipe(res);
+  });
+});
+
+// Delete an attachment
+const deleteTaskAttachment = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  const attachment = await findTaskAttachment(task, req.params.attachmentId);
+
+  // The uploader may always remove their file, otherwise the task must be
+  // editable
+  if (!attachment.uploadedBy.equals(req.user._id)) {
+    await assertTaskAccess(task, req.user._id, "write");
+  }
+
+  await getFileStorage().remove(attachment.storageKey);
+  await attachment.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Attachment deleted successfully."));
+});
+
+export {
+  uploadTaskAttachment,
+  getTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment,
+};
@@ -0,0 +1,270 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { getProjectForMember } from "../utils/projectAccess.js";
+import { findTaskForUser } from "../utils/taskAccess.js";
+import { assertNotBlocked } from "../utils/taskDependencies.js";
+import { withProgress, completeParentIfDone } from "../utils/taskProgress.js";
+import { createNextOccurrence } from "../utils/recurrence.js";
+import { snapshotTask, recordRevision } from "../utils/taskHistory.js";
+import {
+  resolveWorkflow,
+  getTaskWorkflow,
+  assertTransition,
+} from "../utils/workflow.js";
+import { MAX_RANK_LENGTH, rankBetween, spreadRanks } from "../utils/rank.js";
+import { emitTaskEvent } from "../utils/taskEvents.js";
+
+// Tasks shown on a board: a project's tasks, or the user's personal ones
+const boardQuery = (userId, projectId) =>
+  projectId
+    ? { projectId }
+    : {
+        projectId: { $exists: false },
+        $or: [{ userId }, { assignees: userId }, { "shares.user": userId }],
+      };
+
+// Unranked tasks sort after the ranked ones by due date, the same order
+// rankUnrankedTasks gives them once their column is written to
+const compareBoardOrder = (a, b) => {
+  if (a.rank && b.rank) return a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0;
+  if (a.rank || b.rank) return a.rank ? -1 : 1;
+  return a.dueDate - b.dueDate || String(a._id).localeCompare(String(b._id));
+};
+
+// Give unranked tasks of a column a rank after the ranked ones, so older
+// tasks can be dragged like any other. Runs on moves, once per task.
+const rankUnrankedTasks = async (query) => {
+  const unranked = await Task.find({ ...query, rank: { $exists: false } })
+    .select("_id")
+    .sort({ dueDate: 1, _id: 1 });
+  if (!unranked.length) return;
+
+  const last = await Task.findOne({ ...query, rank: { $exists: true } })
+    .select("rank")
+    .sort({ rank: -1 });
+
+  let rank = last?.rank;
+  await Task.bulkWrite(
+    unranked.map((task) => {
+      rank = rankBetween(rank, null);
+      return {
+        updateOne: {
+          filter: { _id: task._id, rank: { $exists: false } },
+          update: { $set: { rank } },
+        },
+      };
+    })
+  );
+};
+
+// Get tasks grouped into workflow columns, in manual order
+const getTaskBoard = asyncHandler(async (req, res) => {
+  const { projectId } = req.query;
+
+  if (projectId) {
+    await getProjectForMember(projectId, req.user._id);
+  }
+
+  const query = boardQuery(req.user._id, projectId);
+  const workflow = await resolveWorkflow({ userId: req.user._id, projectId });
+
+  const tasks = await Task.find(query)
+    .populate("assignees", "username fullName email")
+    .populate("labels", "name color")
+    .sort({ rank: 1, _id: 1 });
+  const tasksWithProgress = (await withProgress(tasks)).sort(compareBoardOrder);
+
+  // One column per workflow status, plus any statuses from other workflows
+  const columns = workflow.statuses.map((status) => ({ ...status, tasks: [] }));
+  tasksWithProgress.forEach((task) => {
+    let column = columns.find((c) => c.key === task.status);
+    if (!column) {
+      column = { key: task.status, name: task.status, tasks: [] };
+      columns.push(column);
+    }
+    column.tasks.push(task);
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { workflow: workflow.source, columns },
+        "Board retrieved successfully."
+      )
+    );
+});
+
+// Give every task of a column a fresh, evenly spaced rank in its current
+// order. Needed when concurrent moves left two tasks with one rank, or when
+// repeated moves into one gap made the keys long.
+const rebalanceColumn = async (columnQuery) => {
+  const tasks = await Task.find(columnQuery)
+    .select("_id")
+    .sort({ rank: 1, _id: 1 });
+  const ranks = spreadRanks(tasks.length);
+
+  await Task.bulkWrite(
+    tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { rank: ranks[index] } },
+      },
+    }))
+  );
+};
+
+// Move a task to a column and position in one step. `afterId` is the task
+// that should end up directly above it and `beforeId` the one directly
+// below; with neither the task goes to the bottom of the column.
+const moveTask = asyncHandler(async (req, res) => {
+  const { status, afterId, beforeId, overrideBlockers } = req.body;
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "status");
+  const targetStatus = status || task.status;
+
+  // The move must follow the task's workflow and respect its blockers
+  const workflow = await getTaskWorkflow(task);
+  assertTransition(workflow, task.status, targetStatus);
+
+  if (targetStatus !== task.status) {
+    await assertNotBlocked(task, targetStatus, overrideBlockers, workflow);
+  }
+
+  // Neighbours must be in the target column of the same board
+  const columnQuery = {
+    ...boardQuery(req.user._id, task.projectId),
+    status: targetStatus,
+  };
+  await rankUnrankedTasks(columnQuery);
+
+  const findNeighbour = async (neighbourId) => {
+    if (!neighbourId) return null;
+
+    if (!mongoose.isValidObjectId(neighbourId)) {
+      throw new ApiError(400, "Invalid neighbour task ID.");
+    }
+
+    const neighbour = await Task.findOne({
+      ...columnQuery,
+      _id: neighbourId,
+    }).select("rank");
+    if (!neighbour || neighbour._id.equals(task._id)) {
+      throw new ApiError(400, "Neighbour task is not in the target column.");
+    }
+
+    return neighbour;
+  };
+
+  // Work out the rank between the two neighbours, or null when the column
+  // has to be rebalanced first
+  const findRank = async () => {
+    let above = await findNeighbour(afterId);
+    let below = await findNeighbour(beforeId);
+
+    // Fill in the missing neighbour from the column itself
+    if (above && !below) {
+      below = await Task.findOne({
+        ...columnQuery,
+        _id: { $ne: task._id },
+        rank: { $gt: above.rank },
+      })
+        .select("rank")
+        .sort({ rank: 1 });
+    } else if (below && !above) {
+      above = await Task.findOne({
+        ...columnQuery,
+        _id: { $ne: task._id },
+        rank: { $lt: below.rank },
+      })
+        .select("rank")
+        .sort({ rank: -1 });
+    } else if (!above && !below) {
+      above = await Task.findOne({ ...columnQuery, _id: { $ne: task._id } })
+        .select("rank")
+        .sort({ rank: -1 });
+    }
+
+    // Another task sharing a neighbour's rank leaves no well-defined gap
+    const neighbourRanks = [above?.rank, below?.rank].filter(Boolean);
+    const tasksAtNeighbourRanks = await Task.countDocuments({
+      ...columnQuery,
+      _id: { $ne: task._id },
+      rank: { $in: neighbourRanks },
+    });
+    if (tasksAtNeighbourRanks > new Set(neighbourRanks).size) {
+      return null;
+    }
+
+    if (above && below && above.rank > below.rank) {
+      throw new ApiError(400, "afterId must be above beforeId in the column.");
+    }
+
+    const rank = rankBetween(above?.rank, below?.rank);
+    return rank.length > MAX_RANK_LENGTH ? null : rank;
+  };
+
+  let rank = await findRank();
+  if (rank === null) {
+    await rebalanceColumn(columnQuery);
+    rank = await findRank();
+  }
+  if (rank === null) {
+    throw new ApiError(
+      409,
+      "Board order was changed by someone else. Try again."
+    );
+  }
+
+  const before = snapshotTask(task);
+
+  // Change column and position together, provided nobody moved it meanwhile.
+  // Updates skip the save hook, so completedAt is kept in step here.
+  const update = { $set: { status: targetStatus, rank } };
+  if (targetStatus !== task.status) {
+    update.$set.nextReminderAt = new Date();
+    if (!workflow.isDone(targetStatus)) {
+      update.$unset = { completedAt: 1 };
+    } else if (!workflow.isDone(task.status)) {
+      update.$set.completedAt = new Date();
+    }
+  }
+
+  const movedTask = await Task.findOneAndUpdate(
+    { _id: task._id, status: task.status },
+    update,
+    { new: true }
+  );
+  if (!movedTask) {
+    throw new ApiError(409, "Task was changed by someone else. Try again.");
+  }
+
+  if (targetStatus !== task.status) {
+    await recordRevision({
+      task: movedTask,
+      actor: req.user._id,
+      action: "status",
+      before,
+    });
+    await completeParentIfDone(movedTask, req.user._id);
+    const nextOccurrence = await createNextOccurrence(movedTask, req.user._id);
+
+    emitTaskEvent("task.status_changed", movedTask, {
+      actorId: req.user._id,
+      previousStatus: task.status,
+    });
+    if (nextOccurrence) {
+      emitTaskEvent("task.created", nextOccurrence, { actorId: req.user._id });
+    }
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, movedTask, "Task moved successfully."));
+});
+
+export { getTaskBoard, moveTask };
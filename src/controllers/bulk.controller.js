@@ -0,0 +1,255 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { findTaskForUser } from "../utils/taskAccess.js";
+import { parseIdList, buildTaskQuery } from "../utils/taskQuery.js";
+import {
+  changeTaskStatus,
+  updateTaskFields,
+  removeTask,
+} from "../utils/taskOperations.js";
+import { emitTaskEvent } from "../utils/taskEvents.js";
+
+// Most tasks a single bulk request may touch
+const BULK_LIMIT = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permission each bulk action needs on every task
+const ACTION_ACCESS = {
+  setStatus: "status",
+  setPriority: "write",
+  shiftDueDate: "write",
+  delete: "manage",
+};
+
+// Thrown inside a transaction to roll it back once a task has failed
+class BulkRollback extends Error {}
+
+// Errors the driver retries the transaction on; they must not be turned
+// into a per-task failure
+const isRetryableTransactionError = (error) =>
+  ["TransientTransactionError", "UnknownTransactionCommitResult"].some(
+    (label) => error.hasErrorLabel?.(label)
+  );
+
+// Validate the action and its value before touching any task
+const parseBulkAction = ({ action, status, priority, days }) => {
+  if (!ACTION_ACCESS[action]) {
+    throw new ApiError(
+      400,
+      `Action must be one of: ${Object.keys(ACTION_ACCESS).join(", ")}.`
+    );
+  }
+
+  if (action === "setStatus" && !status) {
+    throw new ApiError(400, "Status is required for setStatus.");
+  }
+
+  if (
+    action === "setPriority" &&
+    !["High", "Medium", "Low"].includes(priority)
+  ) {
+    throw new ApiError(400, "Invalid priority value.");
+  }
+
+  if (
+    action === "shiftDueDate" &&
+    (!Number.isInteger(Number(days)) || Number(days) === 0)
+  ) {
+    throw new ApiError(400, "Days must be a non-zero whole number.");
+  }
+
+  return { action, status, priority, days: Number(days) };
+};
+
+// Work out which tasks the request targets, from IDs or a list filter
+const resolveTargetIds = async ({ ids, filter }, userId) => {
+  if (ids) {
+    const taskIds = [...new Set(parseIdList(ids, "task"))];
+    if (!taskIds.length) {
+      throw new ApiError(400, "At least one task ID is required.");
+    }
+    if (taskIds.length > BULK_LIMIT) {
+      throw new ApiError(400, `At most ${BULK_LIMIT} tasks per request.`);
+    }
+    return taskIds;
+  }
+
+  if (filter && typeof filter === "object") {
+    const query = await buildTaskQuery(filter, userId);
+    const tasks = await Task.find(query)
+      .select("_id")
+      .limit(BULK_LIMIT + 1);
+
+    if (tasks.length > BULK_LIMIT) {
+      throw new ApiError(
+        400,
+        `Filter matches more than ${BULK_LIMIT} tasks. Narrow it down.`
+      );
+    }
+    return tasks.map((task) => String(task._id));
+  }
+
+  throw new ApiError(400, "Either task IDs or a filter is required.");
+};
+
+// Run one bulk action against every targeted task. Each task is checked
+// on its own; in transactional mode any failure rolls back the whole batch.
+const bulkUpdateTasks = asyncHandler(async (req, res) => {
+  const { ids, filter, overrideBlockers, transactional } = req.body;
+  const actorId = req.user._id;
+
+  const operation = parseBulkAction(req.body);
+  const taskIds = await resolveTargetIds({ ids, filter }, actorId);
+  const allOrNothing = transactional === true || transactional === "true";
+
+  // Apply the action to a single task. File cleanups and webhook events
+  // are collected in the batch and only run once the changes are final.
+  const applyToTask = async (taskId, session, batch) => {
+    const task = await findTaskForUser(
+      taskId,
+      actorId,
+      ACTION_ACCESS[operation.action],
+      { session }
+    );
+
+    switch (operation.action) {
+      case "setStatus": {
+        const previousStatus = task.status;
+        const { nextOccurrence } = await changeTaskStatus(
+          task,
+          operation.status,
+          { actorId, overrideBlockers, session }
+        );
+        if (task.status !== previousStatus) {
+          batch.events.push(["task.status_changed", task, { previousStatus }]);
+        }
+        if (nextOccurrence) {
+          batch.events.push(["task.created", nextOccurrence, {}]);
+        }
+        return;
+      }
+      case "setPriority":
+        await updateTaskFields(
+          task,
+          { priority: operation.priority },
+          { actorId, session }
+        );
+        batch.events.push(["task.updated", task, {}]);
+        return;
+      case "shiftDueDate":
+        await updateTaskFields(
+          task,
+          {
+            dueDate: new Date(task.dueDate.getTime() + operation.days * DAY_MS),
+          },
+          { actorId, session }
+        );
+        batch.events.push(["task.updated", task, {}]);
+        return;
+      case "delete":
+        batch.cleanups.push(await removeTask(task, { actorId, session }));
+        batch.events.push(["task.deleted", task, {}]);
+        return;
+    }
+  };
+
+  // Run the action over all tasks, recording the outcome of each
+  const runBatch = async (session) => {
+    const batch = { results: [], cleanups: [], events: [] };
+
+    for (const taskId of taskIds) {
+      // A failed task leaves nothing behind in the batch
+      const taskBatch = { cleanups: [], events: [] };
+      try {
+        await applyToTask(taskId, session, taskBatch);
+        batch.cleanups.push(...taskBatch.cleanups);
+        batch.events.push(...taskBatch.events);
+        batch.results.push({ taskId, success: true });
+      } catch (error) {
+        if (session && isRetryableTransactionError(error)) {
+          throw error;
+        }
+        batch.results.push({
+          taskId,
+          success: false,
+          statusCode: error.statusCode || 500,
+          error: error.message,
+        });
+      }
+    }
+
+    return batch;
+  };
+
+  let batch;
+  let rolledBack = false;
+
+  if (!allOrNothing) {
+    batch = await runBatch(null);
+  } else {
+    const session = await mongoose.startSession();
+    try {
+      // withTransaction may retry, so each attempt starts a fresh batch
+      await session.withTransaction(async () => {
+        batch = await runBatch(session);
+        if (batch.results.some((result) => !result.success)) {
+          throw new BulkRollback();
+        }
+      });
+    } catch (error) {
+      if (error instanceof BulkRollback) {
+        rolledBack = true;
+      } else if (error.code === 20 || error.codeName === "IllegalOperation") {
+        throw new ApiError(
+          400,
+          "Transactional mode needs MongoDB running as a replica set."
+        );
+      } else {
+        throw error;
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Stored files are only removed and events only sent once final
+  if (!rolledBack) {
+    await Promise.all(batch.cleanups.map((cleanup) => cleanup()));
+    batch.events.forEach(([event, task, options]) =>
+      emitTaskEvent(event, task, { ...options, actorId })
+    );
+  }
+
+  const succeeded = batch.results.filter((result) => result.success).length;
+  const statusCode = rolledBack ? 400 : 200;
+
+  res.status(statusCode).json(
+    new ApiResponse(
+      statusCode,
+      {
+        action: operation.action,
+        transactional: allOrNothing,
+        rolledBack,
+        total: taskIds.length,
+        succeeded: rolledBack ? 0 : succeeded,
+        failed: batch.results.length - succeeded,
+        results: rolledBack
+          ? batch.results.map((result) =>
+              result.success
+                ? { ...result, success: false, error: "Rolled back." }
+                : result
+            )
+          : batch.results,
+      },
+      rolledBack
+        ? "Bulk operation rolled back because some tasks failed."
+        : "Bulk operation completed."
+    )
+  );
+});
+
+export { bulkUpdateTasks };
@@ -0,0 +1,156 @@
+import crypto from "crypto";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { User } from "../models/user.model.js";
+import { buildTaskQuery } from "../utils/taskQuery.js";
+import { createWorkflowCache } from "../utils/workflow.js";
+import {
+  escapeText,
+  formatDateTime,
+  buildCalendar,
+} from "../utils/icalendar.js";
+
+// Most tasks a feed includes, soonest due first
+const MAX_FEED_TASKS = 2000;
+
+// Events span a short slot starting at the due date
+const EVENT_DURATION = "PT30M";
+
+// Task priority to iCalendar PRIORITY (1 highest, 9 lowest)
+const PRIORITY_MAP = { High: 1, Medium: 5, Low: 9 };
+
+// Workflow status category to VTODO STATUS
+const TODO_STATUS_MAP = {
+  todo: "NEEDS-ACTION",
+  "in-progress": "IN-PROCESS",
+  done: "COMPLETED",
+};
+
+const hashFeedToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const feedUrl = (req, token) =>
+  `${req.protocol}://${req.get("host")}/api/v1/calendar/${token}.ics`;
+
+// Properties shared by the VTODO and VEVENT of a task
+const commonProperties = (task) => [
+  ["DTSTAMP", formatDateTime(task.updatedAt || new Date())],
+  ["CREATED", task.createdAt && formatDateTime(task.createdAt)],
+  ["LAST-MODIFIED", task.updatedAt && formatDateTime(task.updatedAt)],
+  ["SUMMARY", escapeText(task.title)],
+  ["DESCRIPTION", task.description && escapeText(task.description)],
+  ["PRIORITY", PRIORITY_MAP[task.priority]],
+  [
+    "CATEGORIES",
+    task.labels?.length
+      ? task.labels.map((label) => escapeText(label.name)).join(",")
+      : undefined,
+  ],
+];
+
+const toTodo = (task, category) => [
+  "VTODO",
+  [
+    ["UID", `task-${task._id}@task-manager`],
+    ...commonProperties(task),
+    ["DUE", formatDateTime(task.dueDate)],
+    ["STATUS", TODO_STATUS_MAP[category] || "NEEDS-ACTION"],
+    ["PERCENT-COMPLETE", category === "done" ? 100 : undefined],
+    [
+      "COMPLETED",
+      category === "done" && task.completedAt
+        ? formatDateTime(task.completedAt)
+        : undefined,
+    ],
+  ],
+];
+
+const toEvent = (task, category) => [
+  "VEVENT",
+  [
+    ["UID", `task-event-${task._id}@task-manager`],
+    ...commonProperties(task),
+    ["DTSTART", formatDateTime(task.dueDate)],
+    ["DURATION", EVENT_DURATION],
+    ["STATUS", "CONFIRMED"],
+    ["TRANSP", "TRANSPARENT"],
+    ["X-TASK-STATUS", escapeText(task.status)],
+    ["X-TASK-DONE", category === "done" ? "TRUE" : "FALSE"],
+  ],
+];
+
+// Serve the user's tasks as an iCalendar feed. The secret token in the URL
+// is the only credential, so calendar apps can subscribe without cookies.
+// Supports ?status=, ?priority= (one or several, comma separated) and
+// ?type=event|todo|both.
+const getCalendarFeed = asyncHandler(async (req, res) => {
+  const { status, priority, type = "event" } = req.query;
+  const token = String(req.params.token).replace(/\.ics$/, "");
+
+  const user = await User.findOne({
+    calendarFeedToken: hashFeedToken(token),
+    isActive: true,
+  });
+  if (!user) {
+    throw new ApiError(404, "Calendar feed not found.");
+  }
+
+  if (!["event", "todo", "both"].includes(type)) {
+    throw new ApiError(400, "type must be one of: event, todo, both.");
+  }
+
+  const query = await buildTaskQuery({ status, priority }, user._id);
+  const tasks = await Task.find(query)
+    .populate("labels", "name")
+    .sort({ dueDate: 1, _id: 1 })
+    .limit(MAX_FEED_TASKS);
+
+  const workflowFor = createWorkflowCache();
+  const components = [];
+  for (const task of tasks) {
+    const category = (await workflowFor(task)).categoryOf(task.status);
+    if (type !== "event") components.push(toTodo(task, category));
+    if (type !== "todo") components.push(toEvent(task, category));
+  }
+
+  res
+    .status(200)
+    .set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="tasks.ics"',
+      "Cache-Control": "private, max-age=300",
+    })
+    .send(buildCalendar(components, { name: `${user.fullName}'s tasks` }));
+});
+
+// Create a calendar feed URL for the user, replacing any previous one
+const regenerateCalendarFeed = asyncHandler(async (req, res) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $set: { calendarFeedToken: hashFeedToken(token) },
+  });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { url: feedUrl(req, token) },
+        "Calendar feed URL created. Keep it secret."
+      )
+    );
+});
+
+// Turn the user's calendar feed off
+const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  await User.findByIdAndUpdate(req.user._id, {
+    $unset: { calendarFeedToken: 1 },
+  });
+
+  res.status(200).json(new ApiResponse(200, {}, "Calendar feed revoked."));
+});
+
+export { getCalendarFeed, regenerateCalendarFeed, revokeCalendarFeed };
@@ -0,0 +1,134 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { findTaskForUser } from "../utils/taskAccess.js";
+
+// Find a checklist item on a task
+const findChecklistItem = (task, itemId) => {
+  const item = mongoose.isValidObjectId(itemId)
+    ? task.checklist.id(itemId)
+    : null;
+
+  if (!item) {
+    throw new ApiError(404, "Checklist item not found.");
+  }
+
+  return item;
+};
+
+// Return checklist items in their display order
+const sortedChecklist = (task) =>
+  [...task.checklist].sort((a, b) => a.order - b.order);
+
+// Add an item to a task's checklist
+const addChecklistItem = asyncHandler(async (req, res) => {
+  const { text } = req.body;
+
+  // Validate item details
+  if (!text || !text.trim()) {
+    throw new ApiError(400, "Checklist item text is required.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  // Append the item after the current last one
+  const lastOrder = task.checklist.reduce(
+    (max, item) => Math.max(max, item.order),
+    -1
+  );
+  task.checklist.push({ text, order: lastOrder + 1 });
+  await task.save();
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, sortedChecklist(task), "Checklist item added."));
+});
+
+// Edit or toggle a checklist item
+const updateChecklistItem = asyncHandler(async (req, res) => {
+  const { text, done } = req.body;
+
+  if (text !== undefined && !text.trim()) {
+    throw new ApiError(400, "Checklist item text cannot be empty.");
+  }
+
+  // Ticking items off is open to assignees, editing text is not
+  const task = await findTaskForUser(
+    req.params.id,
+    req.user._id,
+    text !== undefined ? "write" : "status"
+  );
+  const item = findChecklistItem(task, req.params.itemId);
+
+  if (text !== undefined) {
+    item.text = text;
+  }
+
+  // Toggle the done flag unless an explicit value is given
+  if (done !== undefined) {
+    item.done = done === true || done === "true";
+  } else if (text === undefined) {
+    item.done = !item.done;
+  }
+
+  await task.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, sortedChecklist(task), "Checklist item updated.")
+    );
+});
+
+// Reorder checklist items
+const reorderChecklist = asyncHandler(async (req, res) => {
+  const { itemIds } = req.body;
+
+  if (!Array.isArray(itemIds) || !itemIds.length) {
+    throw new ApiError(400, "A list of checklist item IDs is required.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  // The new order must list every item exactly once
+  const currentIds = task.checklist.map((item) => String(item._id)).sort();
+  const requestedIds = itemIds.map(String).sort();
+  if (
+    currentIds.length !== requestedIds.length ||
+    currentIds.some((id, index) => id !== requestedIds[index])
+  ) {
+    throw new ApiError(400, "Item IDs must match the task's checklist items.");
+  }
+
+  itemIds.forEach((itemId, index) => {
+    task.checklist.id(itemId).order = index;
+  });
+  await task.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, sortedChecklist(task), "Checklist reordered."));
+});
+
+// Remove an item from a task's checklist
+const removeChecklistItem = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+  const item = findChecklistItem(task, req.params.itemId);
+
+  item.deleteOne();
+  await task.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, sortedChecklist(task), "Checklist item removed.")
+    );
+});
+
+export {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  removeChecklistItem,
+};
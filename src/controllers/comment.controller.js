@@ -0,0 +1,162 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Comment } from "../models/comment.model.js";
+import { User } from "../models/user.model.js";
+import { findTaskForUser, getTaskPermission } from "../utils/taskAccess.js";
+
+const AUTHOR_FIELDS = "username fullName email";
+// Mentioned users are shown to everyone on the task, so leave out emails
+const MENTION_FIELDS = "username fullName";
+
+// Resolve @username mentions in a comment body to the IDs of users who
+// can see the task; anyone else is left unmentioned
+const resolveMentions = async (body, task) => {
+  const usernames = [
+    ...new Set(
+      [...body.matchAll(/(?:^|\s)@([a-z0-9._-]+)/gi)].map((match) =>
+        match[1].toLowerCase()
+      )
+    ),
+  ];
+
+  if (!usernames.length) return [];
+
+  const users = await User.find({ username: { $in: usernames } }).select("_id");
+  const permissions = await Promise.all(
+    users.map((user) => getTaskPermission(task, user._id))
+  );
+
+  return users
+    .filter((user, index) => permissions[index].permission)
+    .map((user) => user._id);
+};
+
+// Find a comment on a task and check the user may change it
+const findEditableComment = async (req) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  const { commentId } = req.params;
+
+  if (!mongoose.isValidObjectId(commentId)) {
+    throw new ApiError(400, "Invalid comment ID.");
+  }
+
+  const comment = await Comment.findOne({ _id: commentId, task: task._id });
+  if (!comment) {
+    throw new ApiError(404, "Comment not found.");
+  }
+
+  // Only the author or the task owner may change a comment
+  if (
+    !comment.author.equals(req.user._id) &&
+    !task.userId.equals(req.user._id)
+  ) {
+    throw new ApiError(
+      403,
+      "You do not have permission to change this comment."
+    );
+  }
+
+  return { task, comment };
+};
+
+// Add a comment to a task
+const createComment = asyncHandler(async (req, res) => {
+  const { body } = req.body;
+
+  if (typeof body !== "string" || !body.trim()) {
+    throw new ApiError(400, "Comment body is required.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "comment");
+
+  const comment = await Comment.create({
+    task: task._id,
+    author: req.user._id,
+    body,
+    mentions: await resolveMentions(body, task),
+  });
+
+  await comment.populate([
+    { path: "author", select: AUTHOR_FIELDS },
+    { path: "mentions", select: MENTION_FIELDS },
+  ]);
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, comment, "Comment added successfully."));
+});
+
+// List a task's comments, oldest first
+const getTaskComments = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+  const pageNumber = Math.max(parseInt(page) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+  const task = await findTaskForUser(req.params.id, req.user._id);
+
+  const [comments, totalComments] = await Promise.all([
+    Comment.find({ task: task._id })
+      .populate("author", AUTHOR_FIELDS)
+      .populate("mentions", MENTION_FIELDS)
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Comment.countDocuments({ task: task._id }),
+  ]);
+  const totalPages = Math.ceil(totalComments / pageSize);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        comments,
+        totalComments,
+        currentPage: pageNumber,
+        totalPages,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+      "Comments retrieved successfully."
+    )
+  );
+});
+
+// Edit a comment
+const updateComment = asyncHandler(async (req, res) => {
+  const { body } = req.body;
+
+  if (typeof body !== "string" || !body.trim()) {
+    throw new ApiError(400, "Comment body is required.");
+  }
+
+  const { task, comment } = await findEditableComment(req);
+
+  comment.body = body;
+  comment.mentions = await resolveMentions(body, task);
+  comment.editedAt = new Date();
+  await comment.save();
+
+  await comment.populate([
+    { path: "author", select: AUTHOR_FIELDS },
+    { path: "mentions", select: MENTION_FIELDS },
+  ]);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, comment, "Comment updated successfully."));
+});
+
+// Delete a comment
+const deleteComment = asyncHandler(async (req, res) => {
+  const { comment } = await findEditableComment(req);
+  await comment.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully."));
+});
+
+export { createComment, getTaskComments, updateComment, deleteComment };
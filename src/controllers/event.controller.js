@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { TaskEvent } from "../models/taskEvent.model.js";
+import { User } from "../models/user.model.js";
+import { getMemberProjectIds } from "../utils/projectAccess.js";
+import { isSessionActive } from "../utils/sessions.js";
+import {
+  subscribeToTaskEvents,
+  canSeeTaskEvent,
+  visibleTaskEventsQuery,
+} from "../utils/taskEvents.js";
+
+const HEARTBEAT_MS = 25 * 1000;
+
+// Most missed events sent on reconnect before asking the client to reload
+const MAX_REPLAY = 500;
+
+// How many sent event IDs a connection remembers to skip duplicates
+const MAX_SENT_IDS = 1000;
+
+// Write one Server-Sent Event
+const writeEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream task events the user can see as Server-Sent Events. Clients that
+// reconnect with Last-Event-ID (or ?lastEventId=) first get what they
+// missed; if that is too much or too old they get a "reset" event and
+// should reload their task list.
+const streamTaskEvents = asyncHandler(async (req, res) => {
+  const userId = req.user._id;
+  const lastEventId = req.header("Last-Event-ID") || req.query.lastEventId;
+
+  if (lastEventId && !mongoose.isValidObjectId(lastEventId)) {
+    throw new ApiError(400, "Invalid last event ID.");
+  }
+
+  let projectIds = await getMemberProjectIds(userId);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write("retry: 5000\n\n");
+
+  // Hold live events back until the replay below has been sent
+  let pending = [];
+  // Events are recorded concurrently and need not arrive in ID order, so
+  // skip duplicates by ID rather than by comparing with the last one sent
+  const sentIds = new Set();
+
+  const send = (record) => {
+    const id = String(record._id);
+    if (sentIds.has(id)) return;
+    if (!canSeeTaskEvent(record, userId, projectIds)) return;
+
+    writeEvent(res, { id, event: record.event, data: record.payload });
+    sentIds.add(id);
+    if (sentIds.size > MAX_SENT_IDS) {
+      sentIds.delete(sentIds.values().next().value);
+    }
+  };
+
+  const unsubscribe = subscribeToTaskEvents((record) => {
+    if (pending) pending.push(record);
+    else send(record);
+  });
+
+  // Keep proxies from closing the connection, and check the session and
+  // project access again. A revoked session or deactivated account ends
+  // the stream; the client's reconnect is then refused.
+  const heartbeat = setInterval(async () => {
+    writeEvent(res, { event: "heartbeat", data: { time: new Date() } });
+    try {
+      const [sessionActive, user] = await Promise.all([
+        isSessionActive(req.sessionId, userId),
+        User.findById(userId).select("isActive"),
+      ]);
+
+      if (!sessionActive || !user?.isActive) {
+        stop();
+        res.end();
+        return;
+      }
+
+      projectIds = await getMemberProjectIds(userId);
+    } catch (error) {
+      console.log("Could not refresh event stream access:", error.message);
+    }
+  }, HEARTBEAT_MS);
+
+  const stop = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+  req.on("close", stop);
+
+  // Replay what the client missed since its last event
+  if (lastEventId) {
+    const known = await TaskEvent.exists({ _id: lastEventId });
+    const missed = known
+      ? await TaskEvent.find({
+          _id: { $gt: lastEventId },
+          ...visibleTaskEventsQuery(userId, projectIds),
+        })
+          .sort({ _id: 1 })
+          .limit(MAX_REPLAY + 1)
+      : [];
+
+    if (!known || missed.length > MAX_REPLAY) {
+      writeEvent(res, {
+        event: "reset",
+        data: { reason: "Missed events are no longer available." },
+      });
+    } else {
+      missed.forEach(send);
+    }
+  }
+
+  writeEvent(res, { event: "ready", data: { userId } });
+  pending.forEach(send);
+  pending = null;
+});
+
+export { streamTaskEvents };
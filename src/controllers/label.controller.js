@@ -0,0 +1,128 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Label } from "../models/label.model.js";
+import { Task } from "../models/task.model.js";
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+// Find a label owned by the user
+const findOwnLabel = async (labelId, userId) => {
+  if (!mongoose.isValidObjectId(labelId)) {
+    throw new ApiError(400, "Invalid label ID.");
+  }
+
+  const label = await Label.findOne({ _id: labelId, owner: userId });
+  if (!label) {
+    throw new ApiError(404, "Label not found.");
+  }
+
+  return label;
+};
+
+// Make sure the user has no other label with this name
+const assertLabelNameFree = async (name, userId, exceptId) => {
+  const existing = await Label.findOne({
+    owner: userId,
+    name: name.trim(),
+    _id: { $ne: exceptId },
+  }).collation({ locale: "en", strength: 2 });
+
+  if (existing) {
+    throw new ApiError(400, "A label with this name already exists.");
+  }
+};
+
+// Create a new label
+const createLabel = asyncHandler(async (req, res) => {
+  const { name, color } = req.body;
+
+  // Validate label details
+  if (!name || !name.trim()) {
+    throw new ApiError(400, "Label name is required.");
+  }
+
+  if (color && !COLOR_PATTERN.test(color)) {
+    throw new ApiError(400, "Color must be a hex value like #1e90ff.");
+  }
+
+  await assertLabelNameFree(name, req.user._id);
+
+  const label = await Label.create({ name, color, owner: req.user._id });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, label, "Label created successfully."));
+});
+
+// Get all of the user's labels with how many tasks use each
+const getAllLabels = asyncHandler(async (req, res) => {
+  const labels = await Label.find({ owner: req.user._id }).sort({ name: 1 });
+
+  const usage = await Task.aggregate([
+    { $match: { labels: { $in: labels.map((label) => label._id) } } },
+    { $unwind: "$labels" },
+    { $group: { _id: "$labels", count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(
+    usage.map((entry) => [String(entry._id), entry.count])
+  );
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      labels.map((label) => ({
+        ...label.toObject(),
+        taskCount: counts.get(String(label._id)) || 0,
+      })),
+      "Labels retrieved successfully."
+    )
+  );
+});
+
+// Rename or recolour a label. Tasks reference labels by ID, so every task
+// using it shows the new name straight away.
+const updateLabel = asyncHandler(async (req, res) => {
+  const { name, color } = req.body;
+
+  if (name === undefined && color === undefined) {
+    throw new ApiError(400, "At least one field is required to update.");
+  }
+
+  if (name !== undefined && !name.trim()) {
+    throw new ApiError(400, "Label name cannot be empty.");
+  }
+
+  if (color !== undefined && !COLOR_PATTERN.test(color)) {
+    throw new ApiError(400, "Color must be a hex value like #1e90ff.");
+  }
+
+  const label = await findOwnLabel(req.params.id, req.user._id);
+
+  if (name !== undefined) {
+    await assertLabelNameFree(name, req.user._id, label._id);
+    label.name = name;
+  }
+  if (color !== undefined) label.color = color;
+  await label.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, label, "Label updated successfully."));
+});
+
+// Delete a label and remove it from every task
+const deleteLabel = asyncHandler(async (req, res) => {
+  const label = await findOwnLabel(req.params.id, req.user._id);
+
+  await Task.updateMany(
+    { labels: label._id },
+    { $pull: { labels: label._id } }
+  );
+  await label.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "Label deleted successfully."));
+});
+
+export { createLabel, getAllLabels, updateLabel, deleteLabel };
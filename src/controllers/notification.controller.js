@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Notification } from "../models/notification.model.js";
+import { User } from "../models/user.model.js";
+import { parseBooleanParam, parsePositiveInt } from "../utils/taskQuery.js";
+import { getChannelNames } from "../utils/notificationChannels.js";
+import {
+  MAX_REMINDER_OFFSET_MINUTES,
+  rescheduleUserReminders,
+} from "../utils/reminderScheduler.js";
+
+// Notifications shown in the user's inbox
+const inboxQuery = (userId) => ({ recipient: userId, channels: "in-app" });
+
+// Get the user's notifications, newest first
+const getNotifications = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, unread } = req.query;
+
+  const pageNumber = parsePositiveInt(page, "Page");
+  const pageSize = parsePositiveInt(limit, "Limit", 100);
+
+  const query = inboxQuery(req.user._id);
+  if (unread !== undefined && parseBooleanParam(unread, "unread")) {
+    query.readAt = { $exists: false };
+  }
+
+  const [notifications, total] = await Promise.all([
+    Notification.find(query)
+      .populate("task", "title dueDate status")
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    Notification.countDocuments(query),
+  ]);
+  const totalPages = Math.ceil(total / pageSize);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        notifications,
+        total,
+        currentPage: pageNumber,
+        totalPages,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+      "Notifications retrieved successfully."
+    )
+  );
+});
+
+// Get how many of the user's notifications are unread
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const count = await Notification.countDocuments({
+    ...inboxQuery(req.user._id),
+    readAt: { $exists: false },
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, { count }, "Unread count retrieved."));
+});
+
+// Mark one notification as read
+const markNotificationRead = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ApiError(400, "Invalid notification ID.");
+  }
+
+  const notification = await Notification.findOne({
+    _id: req.params.id,
+    recipient: req.user._id,
+  });
+  if (!notification) {
+    throw new ApiError(404, "Notification not found.");
+  }
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, notification, "Notification marked as read."));
+});
+
+// Mark all of the user's notifications as read
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+  const result = await Notification.updateMany(
+    { recipient: req.user._id, readAt: { $exists: false } },
+    { $set: { readAt: new Date() } }
+  );
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { updated: result.modifiedCount },
+        "All notifications marked as read."
+      )
+    );
+});
+
+// Get the user's reminder settings
+const getNotificationSettings = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user._id).select("notificationSettings");
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...user.notificationSettings.toObject(),
+        availableChannels: getChannelNames(),
+      },
+      "Notification settings retrieved."
+    )
+  );
+});
+
+// Update the user's reminder settings
+const updateNotificationSettings = asyncHandler(async (req, res) => {
+  const { dueSoon, overdue, reminderOffsetMinutes, channels } = req.body;
+  const updates = {};
+
+  if (dueSoon !== undefined) {
+    updates.dueSoon = parseBooleanParam(dueSoon, "dueSoon");
+  }
+  if (overdue !== undefined) {
+    updates.overdue = parseBooleanParam(overdue, "overdue");
+  }
+
+  if (reminderOffsetMinutes !== undefined) {
+    const offset = Number(reminderOffsetMinutes);
+    if (
+      !Number.isInteger(offset) ||
+      offset < 5 ||
+      offset > MAX_REMINDER_OFFSET_MINUTES
+    ) {
+      throw new ApiError(
+        400,
+        `Reminder offset must be between 5 and ${MAX_REMINDER_OFFSET_MINUTES} minutes.`
+      );
+    }
+    updates.reminderOffsetMinutes = offset;
+  }
+
+  if (channels !== undefined) {
+    const list = Array.isArray(channels) ? channels : [channels];
+    const available = getChannelNames();
+    const unknown = list.filter((name) => !available.includes(name));
+
+    if (unknown.length) {
+      throw new ApiError(
+        400,
+        `Unknown notification channels: ${unknown.join(", ")}.`
+      );
+    }
+    if (!list.length) {
+      throw new ApiError(400, "At least one notification channel is required.");
+    }
+    updates.channels = [...new Set(list)];
+  }
+
+  if (!Object.keys(updates).length) {
+    throw new ApiError(400, "At least one setting is required to update.");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    {
+      $set: Object.fromEntries(
+        Object.entries(updates).map(([key, value]) => [
+          `notificationSettings.${key}`,
+          value,
+        ])
+      ),
+    },
+    { new: true }
+  ).select("notificationSettings");
+
+  // Reminder times depend on the settings
+  await rescheduleUserReminders(req.user._id);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        user.notificationSettings,
+        "Notification settings updated."
+      )
+    );
+});
+
+export {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationSettings,
+  updateNotificationSettings,
+};
@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Project } from "../models/project.model.js";
+import { Task } from "../models/task.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Attachment } from "../models/attachment.model.js";
+import { Workflow } from "../models/workflow.model.js";
+import { User } from "../models/user.model.js";
+import { getProjectForMember } from "../utils/projectAccess.js";
+import { PROJECT_MANAGER_ROLES } from "../constants.js";
+
+const MEMBER_ROLES = ["admin", "member", "viewer"];
+
+// Create a new project
+const createProject = asyncHandler(async (req, res) => {
+  // Extract project details from request body
+  const { name, description } = req.body;
+
+  // Validate required fields
+  if (!name || !name.trim()) {
+    throw new ApiError(400, "Project name is required.");
+  }
+
+  // Create the project with the caller as owner
+  const project = await Project.create({
+    name,
+    description,
+    owner: req.user._id,
+    members: [],
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, project, "Project created successfully."));
+});
+
+// Get all projects the user owns or is a member of
+const getAllProjects = asyncHandler(async (req, res) => {
+  const projects = await Project.find({
+    $or: [{ owner: req.user._id }, { "members.user": req.user._id }],
+  })
+    .populate("owner", "username fullName email")
+    .sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, projects, "Projects retrieved successfully."));
+});
+
+// Get a project by ID
+const getProjectById = asyncHandler(async (req, res) => {
+  // Only members may see the project
+  const { project, role } = await getProjectForMember(
+    req.params.id,
+    req.user._id
+  );
+
+  await project.populate([
+    { path: "owner", select: "username fullName email" },
+    { path: "members.user", select: "username fullName email" },
+  ]);
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...project.toObject(), myRole: role },
+        "Project retrieved successfully."
+      )
+    );
+});
+
+// Update a project by ID
+const updateProjectById = asyncHandler(async (req, res) => {
+  const { name, description } = req.body;
+
+  if (!name && description === undefined) {
+    throw new ApiError(400, "At least one field is required to update.");
+  }
+
+  if (name !== undefined && !name.trim()) {
+    throw new ApiError(400, "Project name cannot be empty.");
+  }
+
+  // Only owners and admins may change the project
+  const { project } = await getProjectForMember(
+    req.params.id,
+    req.user._id,
+    PROJECT_MANAGER_ROLES
+  );
+
+  if (name !== undefined) project.name = name;
+  if (description !== undefined) project.description = description;
+  await project.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, project, "Project updated successfully."));
+});
+
+// Delete a project and all of its tasks
+const deleteProjectById = asyncHandler(async (req, res) => {
+  // Only the owner may delete the project
+  const { project } = await getProjectForMember(req.params.id, req.user._id, [
+    "owner",
+  ]);
+
+  const taskIds = await Task.find({ projectId: project._id }).distinct("_id");
+  await Comment.deleteMany({ task: { $in: taskIds } });
+  const removeFiles = await Attachment.removeForTasks(taskIds);
+  await Task.updateMany(
+    { blockedBy: { $in: taskIds } },
+    { $pull: { blockedBy: { $in: taskIds } } }
+  );
+  await Task.deleteMany({ projectId: project._id });
+  await Workflow.deleteOne({ projectId: project._id });
+  await project.deleteOne();
+  await removeFiles();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Project deleted successfully."));
+});
+
+// Add a member to a project
+const addProjectMember = asyncHandler(async (req, res) => {
+  const { userId, role = "member" } = req.body;
+
+  // Validate member details
+  if (!userId || !mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "A valid user ID is required.");
+  }
+
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ApiError(400, "Invalid member role.");
+  }
+
+  const { project } = await getProjectForMember(
+    req.params.id,
+    req.user._id,
+    PROJECT_MANAGER_ROLES
+  );
+
+  // Check the user exists and is not already part of the project
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(404, "User not found.");
+  }
+
+  if (project.getMemberRole(user._id)) {
+    throw new ApiError(400, "User is already a member of this project.");
+  }
+
+  project.members.push({ user: user._id, role });
+  await project.save();
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, project, "Member added successfully."));
+});
+
+// Change the role of a project member
+const updateProjectMember = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!MEMBER_ROLES.includes(role)) {
+    throw new ApiError(400, "Invalid member role.");
+  }
+
+  const { project, role: myRole } = await getProjectForMember(
+    req.params.id,
+    req.user._id,
+    PROJECT_MANAGER_ROLES
+  );
+
+  const member = project.members.find((m) => m.user.equals(req.params.userId));
+  if (!member) {
+    throw new ApiError(404, "Member not found.");
+  }
+
+  // Admins may not promote or demote other admins
+  if (myRole !== "owner" && (member.role === "admin" || role === "admin")) {
+    throw new ApiError(403, "Only the project owner can manage admins.");
+  }
+
+  member.role = role;
+  await project.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, project, "Member role updated successfully."));
+});
+
+// Remove a member from a project
+const removeProjectMember = asyncHandler(async (req, res) => {
+  const { project, role: myRole } = await getProjectForMember(
+    req.params.id,
+    req.user._id
+  );
+
+  const member = project.members.find((m) => m.user.equals(req.params.userId));
+  if (!member) {
+    throw new ApiError(404, "Member not found.");
+  }
+
+  // Members may leave on their own, otherwise managers decide
+  const isSelf = member.user.equals(req.user._id);
+  if (!isSelf) {
+    if (!PROJECT_MANAGER_ROLES.includes(myRole)) {
+      throw new ApiError(403, "You do not have permission for this project.");
+    }
+
+    if (myRole !== "owner" && member.role === "admin") {
+      throw new ApiError(403, "Only the project owner can manage admins.");
+    }
+  }
+
+  project.members = project.members.filter((m) => !m.user.equals(member.user));
+  await project.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, project, "Member removed successfully."));
+});
+
+export {
+  createProject,
+  getAllProjects,
+  getProjectById,
+  updateProjectById,
+  deleteProjectById,
+  addProjectMember,
+  updateProjectMember,
+  removeProjectMember,
+};
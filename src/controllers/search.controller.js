@@ -0,0 +1,87 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { buildTaskQuery, parsePositiveInt } from "../utils/taskQuery.js";
+import {
+  parseSearchQuery,
+  buildHighlightPattern,
+  buildSnippets,
+} from "../utils/textSearch.js";
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 100;
+
+// Search task titles and descriptions, best matches first. Supports
+// "exact phrases" and -excluded words, and accepts the getAllTasks filters.
+const searchTasks = asyncHandler(async (req, res) => {
+  const { q, page = 1, limit = 10, ...filters } = req.query;
+
+  // Validate the search string
+  const search = typeof q === "string" ? q.trim() : "";
+  if (!search) {
+    throw new ApiError(400, "Search query (q) is required.");
+  }
+  if (search.length > MAX_QUERY_LENGTH) {
+    throw new ApiError(
+      400,
+      `Search query must be at most ${MAX_QUERY_LENGTH} characters.`
+    );
+  }
+
+  const parsed = parseSearchQuery(search);
+  if (!parsed.terms.length && !parsed.phrases.length) {
+    throw new ApiError(
+      400,
+      "Search query needs at least one word or phrase to match."
+    );
+  }
+
+  // Validate pagination
+  const pageNumber = parsePositiveInt(page, "Page");
+  const pageSize = parsePositiveInt(limit, "Limit", MAX_LIMIT);
+
+  // Same visibility and filters as the task list, plus the text match
+  delete filters.search;
+  const query = await buildTaskQuery(filters, req.user._id);
+  query.$text = { $search: search };
+
+  const [tasks, totalTasks] = await Promise.all([
+    Task.find(query, { score: { $meta: "textScore" } })
+      .populate("assignees", "username fullName email")
+      .populate("labels", "name color")
+      .sort({ score: { $meta: "textScore" }, _id: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    Task.countDocuments(query),
+  ]);
+
+  // Attach highlighted snippets of the matching text
+  const pattern = buildHighlightPattern(parsed);
+  const results = tasks.map((task) => ({
+    ...task,
+    snippets: buildSnippets(task, pattern),
+  }));
+
+  const totalPages = Math.ceil(totalTasks / pageSize);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        query: parsed,
+        tasks: results,
+        totalTasks,
+        currentPage: pageNumber,
+        totalPages,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+      "Search results retrieved successfully."
+    )
+  );
+});
+
+export { searchTasks };
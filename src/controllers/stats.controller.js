@@ -0,0 +1,263 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { buildTaskQuery } from "../utils/taskQuery.js";
+import { resolveWorkflow } from "../utils/workflow.js";
+import {
+  DAY_MS,
+  assertTimeZone,
+  startOfDay,
+  startOfWeek,
+  parseZonedDate,
+  formatZonedDate,
+} from "../utils/dateRange.js";
+
+// Longest range the completion series may cover
+const MAX_RANGE_DAYS = 731;
+
+// How far back the completion streak is looked for
+const STREAK_LOOKBACK_DAYS = 366;
+
+// Tasks finished before completedAt existed fall back to their last update
+const FINISHED_AT = { $ifNull: ["$completedAt", "$updatedAt"] };
+
+// Aggregation expression that is true when a task's status counts as done
+// in the task's own workflow: its project's, or else the caller's
+const doneExpression = async (scope, userId) => {
+  const projectIds = (await Task.distinct("projectId", scope)).filter(Boolean);
+  const [personalWorkflow, ...projectWorkflows] = await Promise.all([
+    resolveWorkflow({ userId }),
+    ...projectIds.map((projectId) => resolveWorkflow({ projectId })),
+  ]);
+
+  const personalDone = { $in: ["$status", personalWorkflow.doneStatuses] };
+  if (!projectIds.length) return personalDone;
+
+  return {
+    $switch: {
+      branches: projectIds.map((projectId, index) => ({
+        case: { $eq: ["$projectId", projectId] },
+        then: { $in: ["$status", projectWorkflows[index].doneStatuses] },
+      })),
+      default: personalDone,
+    },
+  };
+};
+
+// Work out the reporting range. Dates are whole days in the time zone and
+// `to` is inclusive; the default is the last 30 days including today.
+const resolveStatsRange = ({ from, to }, timeZone, now) => {
+  const end = to
+    ? startOfDay(parseZonedDate(to, timeZone, "to"), timeZone, 1)
+    : startOfDay(now, timeZone, 1);
+  const start = from
+    ? startOfDay(parseZonedDate(from, timeZone, "from"), timeZone)
+    : startOfDay(end, timeZone, -30);
+
+  if (start >= end) {
+    throw new ApiError(400, "from must be on or before to.");
+  }
+  if (end - start > MAX_RANGE_DAYS * DAY_MS) {
+    throw new ApiError(
+      400,
+      `The range can cover at most ${MAX_RANGE_DAYS} days.`
+    );
+  }
+
+  return { start, end };
+};
+
+// Get task statistics for the tasks the caller created, or for a
+// project's tasks when projectId is given
+const getTaskStats = asyncHandler(async (req, res) => {
+  const { projectId, timezone = "UTC", interval = "day" } = req.query;
+  const userId = req.user._id;
+
+  // Validate the time zone, interval and range
+  const timeZone = assertTimeZone(timezone);
+  if (!["day", "week"].includes(interval)) {
+    throw new ApiError(400, "interval must be either 'day' or 'week'.");
+  }
+
+  const now = new Date();
+  const { start, end } = resolveStatsRange(req.query, timeZone, now);
+
+  // The caller's own tasks, or a project's tasks for its members
+  const scope = projectId
+    ? await buildTaskQuery({ projectId }, userId)
+    : { userId };
+
+  // Tasks in scope, flagged done by their own workflow
+  const scopedTasks = [
+    { $match: scope },
+    { $addFields: { isDone: await doneExpression(scope, userId) } },
+  ];
+
+  const finishedTasks = [
+    ...scopedTasks,
+    { $match: { isDone: true } },
+    { $addFields: { finishedAt: FINISHED_AT } },
+  ];
+
+  const [[summary], completions, streakDays] = await Promise.all([
+    // Counts over every task in scope
+    Task.aggregate([
+      ...scopedTasks,
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byStatus: [
+            {
+              $group: {
+                _id: "$status",
+                count: { $sum: 1 },
+                done: { $max: "$isDone" },
+              },
+            },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+          byPriority: [{ $group: { _id: "$priority", count: { $sum: 1 } } }],
+          overdue: [
+            {
+              $match: {
+                dueDate: { $lt: now },
+                isDone: false,
+              },
+            },
+            { $count: "count" },
+          ],
+        },
+      },
+    ]),
+
+    // Tasks finished in the range, per day or week in the time zone
+    Task.aggregate([
+      ...finishedTasks,
+      { $match: { finishedAt: { $gte: start, $lt: end } } },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: "$finishedAt",
+              unit: interval,
+              timezone: timeZone,
+              ...(interval === "week" && { startOfWeek: "monday" }),
+            },
+          },
+          count: { $sum: 1 },
+          totalDuration: {
+            $sum: { $subtract: ["$finishedAt", "$createdAt"] },
+          },
+        },
+      },
+    ]),
+
+    // Days with at least one finished task, for the streak
+    Task.aggregate([
+      ...finishedTasks,
+      {
+        $match: {
+          finishedAt: {
+            $gte: startOfDay(now, timeZone, -STREAK_LOOKBACK_DAYS),
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              date: "$finishedAt",
+              format: "%Y-%m-%d",
+              timezone: timeZone,
+            },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  // One entry per day or week of the range, including empty ones
+  const countsByBucket = new Map(
+    completions.map((bucket) => [bucket._id.getTime(), bucket.count])
+  );
+  const series = [];
+  let bucket =
+    interval === "week" ? startOfWeek(start, timeZone) : new Date(start);
+  while (bucket < end) {
+    series.push({
+      date: formatZonedDate(bucket, timeZone),
+      count: countsByBucket.get(bucket.getTime()) || 0,
+    });
+    bucket =
+      interval === "week"
+        ? startOfWeek(bucket, timeZone, 1)
+        : startOfDay(bucket, timeZone, 1);
+  }
+
+  // Average time from creation to completion over the range
+  const completedCount = completions.reduce((sum, b) => sum + b.count, 0);
+  const totalDuration = completions.reduce(
+    (sum, b) => sum + b.totalDuration,
+    0
+  );
+  const averageMs = completedCount
+    ? Math.round(totalDuration / completedCount)
+    : null;
+
+  // Consecutive days with a finished task, up to today. A day without one
+  // yet today does not break the streak until it is over.
+  const activeDays = new Set(streakDays.map((day) => day._id));
+  const completedToday = activeDays.has(formatZonedDate(now, timeZone));
+  let streak = 0;
+  let offset = completedToday ? 0 : -1;
+  while (
+    activeDays.has(formatZonedDate(startOfDay(now, timeZone, offset), timeZone))
+  ) {
+    streak++;
+    offset--;
+  }
+
+  const byPriority = { High: 0, Medium: 0, Low: 0 };
+  summary.byPriority.forEach(({ _id, count }) => {
+    byPriority[_id] = count;
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        projectId: projectId || null,
+        timezone: timeZone,
+        range: {
+          from: formatZonedDate(start, timeZone),
+          to: formatZonedDate(new Date(end - 1), timeZone),
+          interval,
+        },
+        totalTasks: summary.total[0]?.count || 0,
+        byStatus: summary.byStatus.map(({ _id, done, count }) => ({
+          status: _id,
+          done,
+          count,
+        })),
+        byPriority,
+        overdue: summary.overdue[0]?.count || 0,
+        completed: {
+          total: completedCount,
+          series,
+        },
+        averageCompletionTime: averageMs && {
+          ms: averageMs,
+          hours: Math.round((averageMs / 3600000) * 10) / 10,
+        },
+        streak: {
+          current: streak,
+          completedToday,
+        },
+      },
+      "Task statistics retrieved successfully."
+    )
+  );
+});
+
+export { getTaskStats };
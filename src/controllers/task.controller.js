@@ -1,13 +1,86 @@
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { Task } from "../models/task.model.js";
 import { User } from "../models/user.model.js";
+import { Project } from "../models/project.model.js";
+import { Label } from "../models/label.model.js";
+import { getProjectForMember } from "../utils/projectAccess.js";
+import { findTaskForUser } from "../utils/taskAccess.js";
+import {
+  parseIdList,
+  parsePositiveInt,
+  buildTaskQuery,
+  parseTaskSort,
+  encodeCursor,
+  cursorCondition,
+} from "../utils/taskQuery.js";
+import {
+  changeTaskStatus,
+  updateTaskFields,
+  removeTask,
+} from "../utils/taskOperations.js";
+import { withProgress, completeParentIfDone } from "../utils/taskProgress.js";
+import { parseRecurrence } from "../utils/recurrence.js";
+import {
+  TRACKED_FIELDS,
+  snapshotTask,
+  recordRevision,
+} from "../utils/taskHistory.js";
+import { TaskRevision } from "../models/taskRevision.model.js";
+import { emitTaskEvent } from "../utils/taskEvents.js";
+import {
+  wouldCreateCycle,
+  assertNotBlocked,
+  getDependencyGraph,
+} from "../utils/taskDependencies.js";
+import {
+  resolveWorkflow,
+  getTaskWorkflow,
+  assertValidStatus,
+  assertTransition,
+} from "../utils/workflow.js";
+import {
+  PROJECT_TASK_EDITOR_ROLES,
+  TASK_SHARE_PERMISSIONS,
+} from "../constants.js";
+
+// Tracked fields a revert leaves untouched (see revertTaskToRevision)
+const UNREVERTED_FIELDS = ["status", "projectId", "parentTaskId", "blockedBy"];
+
+// Check label IDs for a task: each must be one of the user's labels or
+// already be on the task
+const resolveLabelIds = async (value, userId, currentLabels = []) => {
+  const ids = [...new Set(parseIdList(value, "label"))];
+
+  const labels = await Label.find({
+    _id: { $in: ids },
+    $or: [{ owner: userId }, { _id: { $in: currentLabels } }],
+  }).select("_id");
+
+  if (labels.length !== ids.length) {
+    throw new ApiError(404, "One or more labels not found.");
+  }
+
+  return labels.map((label) => label._id);
+};
 
 // Create a new task
 const createTask = asyncHandler(async (req, res) => {
   //Extract task details from request body
-  const { title, description, status, dueDate, priority } = req.body;
+  const {
+    title,
+    description,
+    status,
+    dueDate,
+    priority,
+    projectId,
+    parentTaskId,
+    autoCompleteFromSubtasks,
+    recurrence,
+    labels,
+  } = req.body;
 
   // Validate required fields
   if (!title || !dueDate || !priority) {
@@ -15,34 +88,77 @@ const createTask = asyncHandler(async (req, res) => {
   }
 
   // Validate optional fields
-  if (status && !["pending", "in-progress", "completed"].includes(status)) {
-    throw new ApiError(400, "Invalid status value.");
-  }
-
   if (priority && !["High", "Medium", "Low"].includes(priority)) {
     throw new ApiError(400, "Invalid priority value.");
   }
 
+  if (dueDate && isNaN(new Date(dueDate))) {
+    throw new ApiError(400, "Invalid due date.");
+  }
+
+  const recurrenceRule = recurrence
+    ? parseRecurrence(recurrence, dueDate)
+    : undefined;
+
   // Ensure user athenticated
   if (!req.user) {
     throw new ApiError(401, "User not authenticated.");
   }
 
+  // Subtasks need edit access to the parent and live in its project
+  let parentTask;
+  if (parentTaskId) {
+    parentTask = await findTaskForUser(parentTaskId, req.user._id, "write");
+  }
+
+  const taskProjectId = parentTask ? parentTask.projectId : projectId;
+
+  // Only project editors may add tasks to a project
+  if (taskProjectId) {
+    await getProjectForMember(
+      taskProjectId,
+      req.user._id,
+      PROJECT_TASK_EDITOR_ROLES
+    );
+  }
+
+  // New tasks start in the workflow's first status unless told otherwise
+  const workflow = await resolveWorkflow({
+    userId: req.user._id,
+    projectId: taskProjectId,
+  });
+  if (status) {
+    assertValidStatus(workflow, status);
+  }
+
+  const labelIds = labels ? await resolveLabelIds(labels, req.user._id) : [];
+
   // Create the task document
-  const task = await Task.create({
+  const task = new Task({
     title,
     description,
-    status: status || "pending",
+    status: status || workflow.initialStatus,
     dueDate,
     priority,
     userId: req.user._id,
+    projectId: taskProjectId || undefined,
+    parentTaskId: parentTask?._id,
+    autoCompleteFromSubtasks:
+      autoCompleteFromSubtasks === true || autoCompleteFromSubtasks === "true",
+    recurrence: recurrenceRule,
+    labels: labelIds,
   });
+  task.$locals.workflow = workflow;
+  await task.save();
 
   // validate task creation
   if (!task) {
     throw new ApiError(500, "Failed to create task.");
   }
 
+  await recordRevision({ task, actor: req.user._id, action: "create" });
+  emitTaskEvent("task.created", task, { actorId: req.user._id });
+
   res
     .status(201)
     .json(new ApiResponse(201, task, "Task created successfully."));
@@ -51,67 +167,81 @@ const createTask = asyncHandler(async (req, res) => {
 // Get all tasks
 const getAllTasks = async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      search,
-      sortBy = "dueDate",
-      sortOrder = "asc",
-    } = req.query;
-
-    // Build query object - START WITH USER FILTER
-    const query = { userId: req.user._id };
-
-    // Add status filter - THIS IS MISSING IN YOUR BACKEND
-    if (status && status !== "all") {
-      query.status = status;
-    }
-
-    // Add priority filter - THIS IS MISSING IN YOUR BACKEND
-    if (priority && priority !== "all") {
-      query.priority = priority;
-    }
-
-    // Add search filter - THIS IS MISSING IN YOUR BACKEND
-    if (search && search.trim()) {
-      query.$or = [
-        { title: { $regex: search.trim(), $options: "i" } },
-        { description: { $regex: search.trim(), $options: "i" } },
-      ];
+    const { page = 1, limit = 10, cursor } = req.query;
+
+    // Validate paging and sorting
+    const pageNumber = parsePositiveInt(page, "Page");
+    const pageSize = parsePositiveInt(limit, "Limit", 100);
+    const sortSettings = parseTaskSort(req.query);
+
+    // Build query object from the list filters
+    const query = await buildTaskQuery(req.query, req.user._id);
+
+    // Build sort object, with _id as a tie-breaker for stable pages
+    const sort = {
+      [sortSettings.sortBy]: sortSettings.direction,
+      _id: sortSettings.direction,
+    };
+
+    const findTasks = (filter) =>
+      Task.find(filter)
+        .populate("assignees", "username fullName email")
+        .populate("labels", "name color")
+        .sort(sort);
+
+    // Cursor pagination: pass cursor= (empty) for the first page, then the
+    // nextCursor of each response
+    if (cursor !== undefined) {
+      const filter = cursor
+        ? { $and: [query, cursorCondition(cursor, sortSettings)] }
+        : query;
+      const tasks = await findTasks(filter).limit(pageSize + 1);
+      const hasNextPage = tasks.length > pageSize;
+      const pageTasks = tasks.slice(0, pageSize);
+
+      return res.json({
+        statusCode: 200,
+        success: true,
+        message: "Tasks retrieved successfully.",
+        data: {
+          tasks: await withProgress(pageTasks),
+          limit: pageSize,
+          hasNextPage,
+          nextCursor: hasNextPage
+            ? encodeCursor(pageTasks[pageTasks.length - 1], sortSettings)
+            : null,
+        },
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === "desc" ? -1 : 1;
-
     // Execute query with pagination
-    const tasks = await Task.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const tasks = await findTasks(query)
+      .limit(pageSize)
+      .skip((pageNumber - 1) * pageSize);
 
     const totalTasks = await Task.countDocuments(query);
-    const totalPages = Math.ceil(totalTasks / limit);
+    const totalPages = Math.ceil(totalTasks / pageSize);
 
     res.json({
       statusCode: 200,
       success: true,
       message: "Tasks retrieved successfully.",
       data: {
-        tasks,
+        tasks: await withProgress(tasks),
         totalTasks,
-        currentPage: parseInt(page),
+        currentPage: pageNumber,
         totalPages,
-        limit: parseInt(limit),
-        hasNextPage: page < totalPages,
-        hasPrevPage: page > 1,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
       },
     });
   } catch (error) {
-    res.status(500).json({
-      statusCode: 500,
+    // Malformed IDs or values that slip past validation are client errors
+    const statusCode =
+      error.statusCode || (error.name === "CastError" ? 400 : 500);
+    res.status(statusCode).json({
+      statusCode,
       success: false,
       message: error.message,
     });
@@ -132,15 +262,27 @@ const getTaskById = asyncHandler(async (req, res) => {
   }
 
   // Find the task by ID
-  const task = await Task.findById(taskId);
-  if (!task) {
-    throw new ApiError(404, "Task not found.");
-  }
+  const task = await findTaskForUser(taskId, req.user._id);
+  await task.populate([
+    { path: "assignees", select: "username fullName email" },
+    { path: "labels", select: "name color" },
+  ]);
+
+  // Attach progress and a summary of the subtasks
+  const [taskWithProgress] = await withProgress([task]);
+  taskWithProgress.subtasks = await Task.find({ parentTaskId: task._id })
+    .select("title status priority dueDate")
+    .sort({ createdAt: 1 });
+
+  // Attach the blocked-by graph around the task
+  taskWithProgress.dependencies = await getDependencyGraph(task, req.user._id);
 
   // Send Response
   res
     .status(200)
-    .json(new ApiResponse(200, task, "Task retrieved successfully."));
+    .json(
+      new ApiResponse(200, taskWithProgress, "Task retrieved successfully.")
+    );
 });
 
 // Update a task by ID
@@ -157,37 +299,107 @@ const updateTaskById = asyncHandler(async (req, res) => {
   }
 
   // Validate task details
-  const { title, description, status, dueDate, priority } = req.body;
-
-  if (!title && !dueDate && !priority) {
+  const {
+    title,
+    description,
+    status,
+    dueDate,
+    priority,
+    autoCompleteFromSubtasks,
+    recurrence,
+    labels,
+    overrideBlockers,
+    scope = "this",
+  } = req.body;
+
+  const updates = {
+    title,
+    description,
+    status,
+    dueDate,
+    priority,
+    autoCompleteFromSubtasks:
+      autoCompleteFromSubtasks === undefined
+        ? undefined
+        : autoCompleteFromSubtasks === true ||
+          autoCompleteFromSubtasks === "true",
+  };
+
+  if (
+    Object.values(updates).every((value) => value === undefined) &&
+    recurrence === undefined &&
+    labels === undefined
+  ) {
     throw new ApiError(400, "At least one field is required to update.");
   }
 
-  // Validate optional fields
-  if (status && !["pending", "in-progress", "completed"].includes(status)) {
-    throw new ApiError(400, "Invalid status value.");
+  if (title !== undefined && !title.trim()) {
+    throw new ApiError(400, "Title cannot be empty.");
   }
 
+  // Validate optional fields
   if (priority && !["High", "Medium", "Low"].includes(priority)) {
     throw new ApiError(400, "Invalid priority value.");
   }
 
-  // Find and update the task
-  const task = await Task.findByIdAndUpdate(
-    taskId,
-    {
-      title,
-      description,
-      status: status || "pending",
-      dueDate,
-      priority,
-    },
-    { new: true }
-  );
+  if (dueDate && isNaN(new Date(dueDate))) {
+    throw new ApiError(400, "Invalid due date.");
+  }
 
-  // Validate task update
-  if (!task) {
-    throw new ApiError(404, "Task not found.");
+  // Edit just this occurrence of a recurring task, or the whole series
+  if (!["this", "series"].includes(scope)) {
+    throw new ApiError(400, "Scope must be either 'this' or 'series'.");
+  }
+
+  // Make sure the user may change the task
+  const task = await findTaskForUser(taskId, req.user._id, "write");
+  const workflow = await getTaskWorkflow(task);
+
+  // Status changes must follow the task's workflow
+  if (status && status !== task.status) {
+    assertTransition(workflow, task.status, status);
+    await assertNotBlocked(task, status, overrideBlockers, workflow);
+  }
+
+  if (recurrence) {
+    updates.recurrence = parseRecurrence(recurrence, dueDate || task.dueDate);
+  }
+
+  if (labels !== undefined) {
+    updates.labels = await resolveLabelIds(labels, req.user._id, task.labels);
+  }
+
+  // Fields shared by every occurrence of a series
+  const seriesFields = { ...updates };
+  delete seriesFields.status;
+  delete seriesFields.dueDate;
+
+  const previousStatus = task.status;
+  await updateTaskFields(task, updates, { actorId: req.user._id, workflow });
+
+  // Carry the shared fields over to the series' other open occurrences
+  if (scope === "series" && task.seriesId) {
+    const occurrences = await Task.find({
+      seriesId: task.seriesId,
+      _id: { $ne: task._id },
+      status: { $nin: workflow.doneStatuses },
+    });
+
+    for (const occurrence of occurrences) {
+      await updateTaskFields(occurrence, seriesFields, {
+        actorId: req.user._id,
+      });
+    }
+  }
+
+  await completeParentIfDone(task, req.user._id);
+
+  emitTaskEvent("task.updated", task, { actorId: req.user._id });
+  if (task.status !== previousStatus) {
+    emitTaskEvent("task.status_changed", task, {
+      actorId: req.user._id,
+      previousStatus,
+    });
   }
 
   // Send response
@@ -209,8 +421,13 @@ const deleteTaskById = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Task ID is required.");
   }
 
-  // Find and delete the task
-  const task = await Task.findByIdAndDelete(taskId);
+  // Only the owner or project managers may delete the task
+  const task = await findTaskForUser(taskId, req.user._id, "manage");
+
+  // Delete the task along with its comments and attachments
+  const removeFiles = await removeTask(task, { actorId: req.user._id });
+  await removeFiles();
+  emitTaskEvent("task.deleted", task, { actorId: req.user._id });
 
   // Send response
   res.status(200).json(new ApiResponse(200, {}, "Task deleted successfully."));
@@ -218,7 +435,7 @@ const deleteTaskById = asyncHandler(async (req, res) => {
 
 const updateTaskStatus = asyncHandler(async (req, res) => {
   // Get updated status from req body
-  const { status } = req.body;
+  const { status, overrideBlockers } = req.body;
   const userId = req.params.id;
 
   // Check if user authenticated
@@ -226,28 +443,393 @@ const updateTaskStatus = asyncHandler(async (req, res) => {
     throw new ApiError(401, "User not authenticated");
   }
 
-  // find user and update task status
-  const task = await Task.findOneAndUpdate(
-    {
-      userId: req.user._id,
-      _id: userId,
-    },
+  if (!status) {
+    throw new ApiError(400, "Status is required.");
+  }
+
+  // Make sure the user may change the task
+  const task = await findTaskForUser(userId, req.user._id, "status");
+
+  // update task status, following its workflow and blockers
+  const previousStatus = task.status;
+  const { nextOccurrence } = await changeTaskStatus(task, status, {
+    actorId: req.user._id,
+    overrideBlockers,
+  });
+
+  if (task.status !== previousStatus) {
+    emitTaskEvent("task.status_changed", task, {
+      actorId: req.user._id,
+      previousStatus,
+    });
+  }
+  if (nextOccurrence) {
+    emitTaskEvent("task.created", nextOccurrence, { actorId: req.user._id });
+  }
+
+  // Send Response
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        nextOccurrence ? { ...task.toObject(), nextOccurrence } : task,
+        "Task status updated."
+      )
+    );
+});
+
+// Assign one or more users to a task
+const assignTask = asyncHandler(async (req, res) => {
+  // Accept a single userId or a list of userIds
+  const { userId, userIds } = req.body;
+  const ids = [].concat(userIds || userId || []);
+
+  if (!ids.length || !ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, "One or more valid user IDs are required.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  // Check every user exists
+  const users = await User.find({ _id: { $in: ids } }).select("_id");
+  if (users.length !== new Set(ids.map(String)).size) {
+    throw new ApiError(404, "One or more users not found.");
+  }
+
+  // Project tasks may only be assigned to project members
+  if (task.projectId) {
+    const project = await Project.findById(task.projectId);
+    if (users.some((user) => !project?.getMemberRole(user._id))) {
+      throw new ApiError(400, "Assignees must be members of the project.");
+    }
+  }
 
+  const updatedTask = await Task.findByIdAndUpdate(
+    task._id,
     {
-      status,
+      $addToSet: { assignees: { $each: users.map((user) => user._id) } },
+      $set: { nextReminderAt: new Date() },
     },
-    {
-      new: true,
+    { new: true }
+  ).populate("assignees", "username fullName email");
+  emitTaskEvent("task.updated", updatedTask, { actorId: req.user._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, updatedTask, "Task assigned successfully."));
+});
+
+// Remove a user from a task's assignees
+const unassignTask = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID.");
+  }
+
+  // Assignees may remove themselves, otherwise the task must be writable
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  if (!req.user._id.equals(userId)) {
+    await findTaskForUser(task._id, req.user._id, "write");
+  }
+
+  const updatedTask = await Task.findByIdAndUpdate(
+    task._id,
+    { $pull: { assignees: userId }, $set: { nextReminderAt: new Date() } },
+    { new: true }
+  ).populate("assignees", "username fullName email");
+  emitTaskEvent("task.updated", updatedTask, { actorId: req.user._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, updatedTask, "Task unassigned successfully."));
+});
+
+// Share a task with a user, or change the permission of an existing share
+const shareTask = asyncHandler(async (req, res) => {
+  const { userId, permission = "view" } = req.body;
+
+  // Validate share details
+  if (!userId || !mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "A valid user ID is required.");
+  }
+
+  if (!TASK_SHARE_PERMISSIONS.includes(permission)) {
+    throw new ApiError(400, "Invalid permission value.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "manage");
+
+  if (task.userId.equals(userId)) {
+    throw new ApiError(400, "Task owner already has full access.");
+  }
+
+  const user = await User.findById(userId).select("_id");
+  if (!user) {
+    throw new ApiError(404, "User not found.");
+  }
+
+  // Update the existing grant or add a new one
+  const share = task.shares.find((s) => s.user.equals(user._id));
+  if (share) {
+    share.permission = permission;
+  } else {
+    task.shares.push({
+      user: user._id,
+      permission,
+      grantedBy: req.user._id,
+    });
+  }
+  await task.save();
+
+  await task.populate("shares.user", "username fullName email");
+  emitTaskEvent("task.updated", task, { actorId: req.user._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, task.shares, "Task shared successfully."));
+});
+
+// List the users a task is shared with
+const getTaskShares = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  await task.populate("shares.user", "username fullName email");
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, task.shares, "Task shares retrieved."));
+});
+
+// Revoke a user's access to a task
+const revokeTaskShare = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user ID.");
+  }
+
+  // Users may drop their own share, otherwise the task must be managed
+  const task = await findTaskForUser(req.params.id, req.user._id);
+  if (!req.user._id.equals(userId)) {
+    await findTaskForUser(task._id, req.user._id, "manage");
+  }
+
+  const updatedTask = await Task.findByIdAndUpdate(
+    task._id,
+    { $pull: { shares: { user: userId } } },
+    { new: true }
+  ).populate("shares.user", "username fullName email");
+  emitTaskEvent("task.updated", updatedTask, { actorId: req.user._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedTask.shares,
+        "Task share revoked successfully."
+      )
+    );
+});
+
+// Stop a recurring task so no further occurrences are created
+const stopTaskRecurrence = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  if (!task.recurrence?.frequency) {
+    throw new ApiError(400, "Task is not recurring.");
+  }
+
+  // Drop the rule from every occurrence in the series
+  const seriesFilter = {
+    $or: [{ _id: task._id }, { seriesId: task.seriesId || task._id }],
+    "recurrence.frequency": { $exists: true },
+  };
+  const changedIds = await Task.find(seriesFilter).distinct("_id");
+  await Task.updateMany(seriesFilter, { $unset: { recurrence: 1 } });
+
+  const changedTasks = await Task.find({ _id: { $in: changedIds } });
+  changedTasks.forEach((changedTask) =>
+    emitTaskEvent("task.updated", changedTask, { actorId: req.user._id })
+  );
+
+  const updatedTask = changedTasks.find((changedTask) =>
+    changedTask._id.equals(task._id)
+  );
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, updatedTask, "Task recurrence stopped."));
+});
+
+// Get the change history of a task, newest first
+const getTaskHistory = asyncHandler(async (req, res) => {
+  const task = await findTaskForUser(req.params.id, req.user._id);
+
+  const revisions = await TaskRevision.find({ task: task._id })
+    .select("-snapshot")
+    .populate("actor", "username fullName email")
+    .sort({ createdAt: -1 });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, revisions, "Task history retrieved."));
+});
+
+// Revert a task to the state it had after a given revision
+const revertTaskToRevision = asyncHandler(async (req, res) => {
+  const { revisionId } = req.params;
+  const { overrideBlockers } = req.body ?? {};
+
+  if (!mongoose.isValidObjectId(revisionId)) {
+    throw new ApiError(400, "Invalid revision ID.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  const revision = await TaskRevision.findOne({
+    _id: revisionId,
+    task: task._id,
+  });
+  if (!revision) {
+    throw new ApiError(404, "Revision not found.");
+  }
+
+  if (!revision.snapshot) {
+    throw new ApiError(400, "This revision cannot be reverted to.");
+  }
+
+  // Restore the task's own tracked fields, clearing those the revision did
+  // not have. Status goes through the workflow below, and the links to
+  // projects and other tasks are left alone: they have their own endpoints
+  // that check access and cycles.
+  const before = snapshotTask(task);
+  TRACKED_FIELDS.filter((field) => !UNREVERTED_FIELDS.includes(field)).forEach(
+    (field) => {
+      task.set(field, revision.snapshot[field]);
     }
   );
 
-  // Validate task update
-  if (!task) {
-    throw new ApiError(404, "Task not found.");
+  // The status goes back through the workflow like any other move. Check it
+  // before saving so a refused revert changes nothing.
+  const targetStatus = revision.snapshot.status ?? task.status;
+  if (targetStatus !== task.status) {
+    const workflow = await getTaskWorkflow(task);
+    assertTransition(workflow, task.status, targetStatus);
+    await assertNotBlocked(task, targetStatus, overrideBlockers, workflow);
   }
 
-  // Send Response
-  res.status(200).json(new ApiResponse(200, task, "Task status updated."));
+  await task.save();
+  await recordRevision({
+    task,
+    actor: req.user._id,
+    action: "revert",
+    before,
+  });
+
+  let nextOccurrence = null;
+  if (targetStatus !== task.status) {
+    ({ nextOccurrence } = await changeTaskStatus(task, targetStatus, {
+      actorId: req.user._id,
+      overrideBlockers,
+    }));
+  }
+
+  emitTaskEvent("task.updated", task, { actorId: req.user._id });
+  if (task.status !== before.status) {
+    emitTaskEvent("task.status_changed", task, {
+      actorId: req.user._id,
+      previousStatus: before.status,
+    });
+  }
+  if (nextOccurrence) {
+    emitTaskEvent("task.created", nextOccurrence, { actorId: req.user._id });
+  }
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, task, "Task reverted successfully."));
+});
+
+// Mark a task as blocked by another task
+const addTaskDependency = asyncHandler(async (req, res) => {
+  const { blockedBy } = req.body;
+
+  if (!blockedBy || !mongoose.isValidObjectId(blockedBy)) {
+    throw new ApiError(400, "A valid blocking task ID is required.");
+  }
+
+  // The blocked task must be editable and the blocker visible
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+  const blocker = await findTaskForUser(blockedBy, req.user._id);
+
+  if (task.blockedBy.some((id) => id.equals(blocker._id))) {
+    throw new ApiError(400, "Task is already blocked by this task.");
+  }
+
+  if (await wouldCreateCycle(task._id, blocker._id)) {
+    throw new ApiError(400, "This dependency would create a cycle.");
+  }
+
+  const before = snapshotTask(task);
+  task.blockedBy.push(blocker._id);
+  await task.save();
+
+  await recordRevision({
+    task,
+    actor: req.user._id,
+    action: "update",
+    before,
+  });
+  emitTaskEvent("task.updated", task, { actorId: req.user._id });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        await getDependencyGraph(task, req.user._id),
+        "Dependency added successfully."
+      )
+    );
+});
+
+// Remove a blocked-by link from a task
+const removeTaskDependency = asyncHandler(async (req, res) => {
+  const { blockerId } = req.params;
+
+  if (!mongoose.isValidObjectId(blockerId)) {
+    throw new ApiError(400, "Invalid blocking task ID.");
+  }
+
+  const task = await findTaskForUser(req.params.id, req.user._id, "write");
+
+  if (!task.blockedBy.some((id) => id.equals(blockerId))) {
+    throw new ApiError(404, "Dependency not found.");
+  }
+
+  const before = snapshotTask(task);
+  task.blockedBy.pull(blockerId);
+  await task.save();
+
+  await recordRevision({
+    task,
+    actor: req.user._id,
+    action: "update",
+    before,
+  });
+  emitTaskEvent("task.updated", task, { actorId: req.user._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        await getDependencyGraph(task, req.user._id),
+        "Dependency removed successfully."
+      )
+    );
 });
 
 export {
@@ -257,4 +839,14 @@ export {
   updateTaskById,
   deleteTaskById,
   updateTaskStatus,
+  assignTask,
+  unassignTask,
+  shareTask,
+  getTaskShares,
+  revokeTaskShare,
+  stopTaskRecurrence,
+  getTaskHistory,
+  revertTaskToRevision,
+  addTaskDependency,
+  removeTaskDependency,
 };
@@ -0,0 +1,445 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Task } from "../models/task.model.js";
+import { Label } from "../models/label.model.js";
+import { getProjectForMember } from "../utils/projectAccess.js";
+import { findTaskForUser } from "../utils/taskAccess.js";
+import {
+  buildTaskQuery,
+  parseBooleanParam,
+  parseTaskSort,
+} from "../utils/taskQuery.js";
+import {
+  resolveWorkflow,
+  getTaskWorkflow,
+  assertTransition,
+} from "../utils/workflow.js";
+import { assertNotBlocked } from "../utils/taskDependencies.js";
+import { recordRevision } from "../utils/taskHistory.js";
+import { changeTaskStatus, updateTaskFields } from "../utils/taskOperations.js";
+import { emitTaskEvent } from "../utils/taskEvents.js";
+import {
+  toCsvRow,
+  parseCsvRecords,
+  joinListCell,
+  splitListCell,
+} from "../utils/csv.js";
+import { PROJECT_TASK_EDITOR_ROLES } from "../constants.js";
+
+// Most rows a single import may contain
+const MAX_IMPORT_ROWS = 1000;
+
+const PRIORITIES = ["High", "Medium", "Low"];
+
+const EXPORT_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "labels",
+  "projectId",
+  "parentTaskId",
+  "assignees",
+  "createdAt",
+  "updatedAt",
+  "completedAt",
+];
+
+// Flatten a task into the exported fields
+const toExportRecord = (task) => ({
+  id: String(task._id),
+  title: task.title,
+  description: task.description ?? null,
+  status: task.status,
+  priority: task.priority,
+  dueDate: task.dueDate,
+  labels: task.labels.map((label) => label.name),
+  projectId: task.projectId ? String(task.projectId) : null,
+  parentTaskId: task.parentTaskId ? String(task.parentTaskId) : null,
+  assignees: task.assignees.map((user) => user.email),
+  createdAt: task.createdAt,
+  updatedAt: task.updatedAt,
+  completedAt: task.completedAt ?? null,
+});
+
+// Stream the user's tasks as CSV or JSON. Accepts the getAllTasks filters
+// and sort settings.
+const exportTasks = asyncHandler(async (req, res) => {
+  const { format = "csv" } = req.query;
+
+  if (!["csv", "json"].includes(format)) {
+    throw new ApiError(400, "Format must be either 'csv' or 'json'.");
+  }
+
+  const { sortBy, direction } = parseTaskSort(req.query);
+  const query = await buildTaskQuery(req.query, req.user._id);
+
+  const cursor = Task.find(query)
+    .populate("labels", "name")
+    .populate("assignees", "email")
+    .sort({ [sortBy]: direction, _id: direction })
+    .cursor();
+
+  const date = new Date().toISOString().slice(0, 10);
+  res.status(200).set({
+    "Content-Type":
+      format === "csv"
+        ? "text/csv; charset=utf-8"
+        : "application/json; charset=utf-8",
+    "Content-Disposition": `attachment; filename="tasks-${date}.${format}"`,
+  });
+
+  // Respect backpressure so large exports do not pile up in memory. A
+  // client that disconnects never drains, so closing ends the wait too.
+  const write = async (chunk) => {
+    if (res.write(chunk) || res.destroyed) return;
+
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  };
+
+  let first = true;
+  await write(format === "csv" ? toCsvRow(EXPORT_COLUMNS) : "[");
+
+  try {
+    for await (const task of cursor) {
+      // Stop reading once the client has gone away
+      if (res.destroyed) break;
+
+      const record = toExportRecord(task);
+      if (format === "csv") {
+        await write(
+          toCsvRow(
+            EXPORT_COLUMNS.map((column) =>
+              Array.isArray(record[column])
+                ? joinListCell(record[column])
+                : record[column]
+            )
+          )
+        );
+      } else {
+        await write(`${first ? "" : ","}\n${JSON.stringify(record)}`);
+      }
+      first = false;
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (res.destroyed) return;
+  if (format === "json") res.write("\n]\n");
+  res.end();
+});
+
+// Read the rows of an uploaded file, or of a JSON body with a tasks array
+const readImportRows = (req) => {
+  if (!req.file) {
+    if (!Array.isArray(req.body?.tasks)) {
+      throw new ApiError(
+        400,
+        "Upload a CSV or JSON file in the 'file' field, or send a tasks array."
+      );
+    }
+    return req.body.tasks;
+  }
+
+  const text = req.file.buffer.toString("utf8");
+  const format =
+    req.body.format ||
+    (/\.json$/i.test(req.file.originalname) ||
+    req.file.mimetype === "application/json"
+      ? "json"
+      : "csv");
+
+  if (format === "csv") {
+    try {
+      return parseCsvRecords(text);
+    } catch (error) {
+      throw new ApiError(400, `Could not read the CSV file: ${error.message}`);
+    }
+  }
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new ApiError(400, `Could not read the JSON file: ${error.message}`);
+    }
+
+    const rows = Array.isArray(data) ? data : data?.tasks;
+    if (!Array.isArray(rows)) {
+      throw new ApiError(400, "The JSON file must hold an array of tasks.");
+    }
+    return rows;
+  }
+
+  throw new ApiError(400, "Format must be either 'csv' or 'json'.");
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Check an import row against the task rules. Unknown columns, such as the
+// export's createdAt or assignees, are ignored. The status is checked once
+// the row's workflow is known, and labels are left undefined when the row
+// has no labels field.
+const parseImportRow = (row) => {
+  const errors = [];
+
+  if (!row || typeof row !== "object" || Array.isArray(row)) {
+    return { errors: ["Row must be an object."] };
+  }
+
+  const title = isBlank(row.title) ? "" : String(row.title).trim();
+  if (!title) errors.push("title is required.");
+
+  let dueDate;
+  if (isBlank(row.dueDate)) {
+    errors.push("dueDate is required.");
+  } else {
+    dueDate = new Date(String(row.dueDate));
+    if (Number.isNaN(dueDate.getTime())) {
+      errors.push("dueDate must be a valid date.");
+    }
+  }
+
+  const priority = isBlank(row.priority) ? "" : String(row.priority).trim();
+  if (!PRIORITIES.includes(priority)) {
+    errors.push(`priority must be one of: ${PRIORITIES.join(", ")}.`);
+  }
+
+  const status = isBlank(row.status) ? undefined : String(row.status).trim();
+
+  const id = isBlank(row.id) ? undefined : String(row.id).trim();
+  if (id && !mongoose.isValidObjectId(id)) {
+    errors.push("id must be a valid task ID.");
+  }
+
+  let labelNames;
+  if (Array.isArray(row.labels)) {
+    labelNames = row.labels.map((name) => String(name).trim()).filter(Boolean);
+  } else if (row.labels !== undefined) {
+    labelNames = splitListCell(String(row.labels ?? ""));
+  }
+
+  return {
+    errors,
+    id,
+    labelNames,
+    fields: {
+      title,
+      description: isBlank(row.description)
+        ? undefined
+        : String(row.description),
+      status,
+      priority,
+      dueDate,
+    },
+  };
+};
+
+// Import tasks from CSV or JSON. Each row is validated and reported on its
+// own. Rows matching an existing task (by id, or by title and due date)
+// are skipped or updated as `duplicates` says; `dryRun` only reports what
+// would happen. Missing labels are created by name.
+const importTasks = asyncHandler(async (req, res) => {
+  const options = { ...req.query, ...req.body };
+  const { projectId, duplicates = "skip" } = options;
+  const userId = req.user._id;
+
+  const dryRun =
+    options.dryRun !== undefined && parseBooleanParam(options.dryRun, "dryRun");
+
+  if (!["skip", "update", "create"].includes(duplicates)) {
+    throw new ApiError(400, "duplicates must be one of: skip, update, create.");
+  }
+
+  // Only project editors may add tasks to a project
+  if (projectId) {
+    await getProjectForMember(projectId, userId, PROJECT_TASK_EDITOR_ROLES);
+  }
+
+  const rows = readImportRows(req);
+  if (!rows.length) {
+    throw new ApiError(400, "There are no rows to import.");
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(400, `At most ${MAX_IMPORT_ROWS} rows per import.`);
+  }
+
+  const workflow = await resolveWorkflow({ userId, projectId });
+  const scope = projectId
+    ? { projectId }
+    : { userId, projectId: { $exists: false } };
+
+  // Match label names to the user's labels, ignoring case
+  const parsedRows = rows.map((row) => parseImportRow(row));
+  const labelNames = [
+    ...new Set(parsedRows.flatMap((row) => row.labelNames || [])),
+  ];
+  const existingLabels = await Label.find({
+    owner: userId,
+    name: { $in: labelNames },
+  }).collation({ locale: "en", strength: 2 });
+  const labelIds = new Map(
+    existingLabels.map((label) => [label.name.toLowerCase(), label._id])
+  );
+  const newLabels = labelNames.filter(
+    (name) => !labelIds.has(name.toLowerCase())
+  );
+
+  const resolveLabels = async (names = []) => {
+    const ids = [];
+    for (const name of names) {
+      const key = name.toLowerCase();
+      if (!labelIds.has(key)) {
+        const label = await Label.create({ name, owner: userId });
+        labelIds.set(key, label._id);
+      }
+      ids.push(labelIds.get(key));
+    }
+    return ids;
+  };
+
+  // Find the task a row duplicates, if any
+  const seenInFile = new Map();
+  const findDuplicate = async ({ id, fields }) => {
+    if (id) {
+      const byId = await Task.exists({ _id: id });
+      if (byId) return findTaskForUser(id, userId, "write");
+    }
+
+    return Task.findOne({
+      ...scope,
+      title: fields.title,
+      dueDate: fields.dueDate,
+    });
+  };
+
+  const results = [];
+  for (const [index, parsed] of parsedRows.entries()) {
+    const result = { row: index + 1, title: parsed.fields?.title || null };
+    results.push(result);
+
+    if (parsed.errors.length) {
+      Object.assign(result, { action: "error", errors: parsed.errors });
+      continue;
+    }
+
+    try {
+      // Rows repeating an earlier row of the same file count as duplicates
+      const fileKey = `${parsed.fields.title}|${parsed.fields.dueDate.getTime()}`;
+      const duplicate =
+        duplicates === "create" ? null : await findDuplicate(parsed);
+      const repeatsRow = duplicates !== "create" && seenInFile.get(fileKey);
+      seenInFile.set(fileKey, result.row);
+
+      if (repeatsRow || (duplicate && duplicates === "skip")) {
+        Object.assign(result, {
+          action: "skip",
+          taskId: duplicate?._id,
+          reason: repeatsRow
+            ? `Duplicate of row ${repeatsRow}.`
+            : "Task already exists.",
+        });
+        continue;
+      }
+
+      // Statuses belong to the workflow of the task being updated, or of
+      // the import's project or user for new tasks
+      const { status, ...fields } = parsed.fields;
+      const rowWorkflow = duplicate
+        ? await getTaskWorkflow(duplicate)
+        : workflow;
+      if (status && !rowWorkflow.statusKeys.includes(status)) {
+        Object.assign(result, {
+          action: "error",
+          errors: [
+            `status must be one of: ${rowWorkflow.statusKeys.join(", ")}.`,
+          ],
+        });
+        continue;
+      }
+
+      if (duplicate) {
+        // Check the status change before writing anything, so a refused
+        // move leaves the task as it was
+        const changesStatus = status && status !== duplicate.status;
+        if (changesStatus) {
+          assertTransition(rowWorkflow, duplicate.status, status);
+          await assertNotBlocked(duplicate, status, false, rowWorkflow);
+        }
+
+        result.action = "update";
+        result.taskId = duplicate._id;
+        if (dryRun) continue;
+
+        // Labels are only replaced when the row has a labels field
+        if (parsed.labelNames) {
+          fields.labels = await resolveLabels(parsed.labelNames);
+        }
+        await updateTaskFields(duplicate, fields, {
+          actorId: userId,
+          workflow: rowWorkflow,
+        });
+        if (changesStatus) {
+          await changeTaskStatus(duplicate, status, { actorId: userId });
+        }
+        emitTaskEvent("task.updated", duplicate, { actorId: userId });
+        continue;
+      }
+
+      result.action = "create";
+      if (dryRun) continue;
+
+      const task = new Task({
+        ...parsed.fields,
+        status: parsed.fields.status || workflow.initialStatus,
+        userId,
+        projectId: projectId || undefined,
+        labels: await resolveLabels(parsed.labelNames),
+      });
+      task.$locals.workflow = workflow;
+      await task.save();
+      await recordRevision({ task, actor: userId, action: "create" });
+      emitTaskEvent("task.created", task, { actorId: userId });
+      result.taskId = task._id;
+    } catch (error) {
+      Object.assign(result, { action: "error", errors: [error.message] });
+    }
+  }
+
+  const count = (action) =>
+    results.filter((result) => result.action === action).length;
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        dryRun,
+        total: results.length,
+        created: count("create"),
+        updated: count("update"),
+        skipped: count("skip"),
+        failed: count("error"),
+        newLabels,
+        rows: results,
+      },
+      dryRun ? "Import preview ready." : "Import finished."
+    )
+  );
+});
+
+export { exportTasks, importTasks };
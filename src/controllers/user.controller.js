@@ -2,21 +2,29 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
-import jwt from "jsonwebtoken";
-
-// Generate access and refresh token
-const generateAccessAndRefreshToken = async (userId) => {
+import mongoose from "mongoose";
+import { consumeUserToken } from "../utils/userTokens.js";
+import {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  isEmailVerificationRequired,
+} from "../utils/accountEmails.js";
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+} from "../utils/sessions.js";
+
+// Generate access and refresh token for a new session on this device
+const generateAccessAndRefreshToken = async (userId, req) => {
   try {
     // fetch user from database
-    const user = await User.findOne(userId);
-
-    // Fetch access and refresh token
-    const accessToken = user.generateAccessToken();
-    const refreshToken = user.generateRefreshToken();
+    const user = await User.findById(userId);
 
-    // save refresh token to user document
-    user.refreshToken = refreshToken;
-    await user.save({ validateBeforeSave: false });
+    // Start a session holding the refresh token
+    const { accessToken, refreshToken } = await createSession(user, req);
 
     return { accessToken, refreshToken };
   } catch (error) {
@@ -51,17 +59,39 @@ const registerUser = asyncHandler(async (req, res) => {
     username: username.trim().toLowerCase(),
     fullName,
     password,
+    emailVerified: false,
   });
 
+  // Send the verification link; a mail failure should not undo the signup
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.log("Could not send verification email:", error.message);
+  }
+
+  // Users must verify before logging in when verification is required
+  if (isEmailVerificationRequired()) {
+    const createdUser = await User.findById(user._id).select("-password");
+
+    return res
+      .status(201)
+      .json(
+        new ApiResponse(
+          201,
+          { user: createdUser },
+          "User created. Please verify your email address to log in"
+        )
+      );
+  }
+
   // Generate access and refresh tokens
   const { refreshToken, accessToken } = await generateAccessAndRefreshToken(
-    user._id
+    user._id,
+    req
   );
 
   // Select user details to return
-  const createdUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const createdUser = await User.findById(user._id).select("-password");
 
   // Check if user was created successfully
   if (!createdUser) {
@@ -123,15 +153,24 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "Invalid Credentials");
   }
 
+  // Check if user account is active
+  if (!user.isActive) {
+    throw new ApiError(403, "User account is deactivated");
+  }
+
+  // Check if the email address still needs verifying
+  if (isEmailVerificationRequired() && user.emailVerified === false) {
+    throw new ApiError(403, "Please verify your email address to log in");
+  }
+
   //Get acess and refresh token
   const { refreshToken, accessToken } = await generateAccessAndRefreshToken(
-    user._id
+    user._id,
+    req
   );
 
   // Get LoggedIn User details
-  const loggedInUser = await User.findById(user._id).select(
-    "-password -refreshToken"
-  );
+  const loggedInUser = await User.findById(user._id).select("-password");
 
   const options = {
     httpOnly: true,
@@ -171,18 +210,10 @@ const logoutUser = asyncHandler(async (req, res) => {
     throw new ApiError(401, "User not found");
   }
 
-  // Clear refresh token
-  await User.findByIdAndUpdate(
-    userId,
-    {
-      $unset: {
-        refreshToken: 1,
-      },
-    },
-    {
-      new: true,
-    }
-  );
+  // End the session this request was made from
+  if (req.sessionId) {
+    await revokeSession(userId, req.sessionId, "logout");
+  }
 
   const options = {
     httpOnly: true,
@@ -209,22 +240,11 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
   }
 
   try {
-    const decodedToken = jwt.verify(
+    // Rotate the session's refresh token; replaying an old one revokes it
+    const { accessToken, refreshToken: newRefreshToken } = await rotateSession(
       incomingRefreshToken,
-      process.env.REFRESH_TOKEN_SECRET
+      req
     );
-    const user = await User.findById(decodedToken?._id);
-
-    if (!user) {
-      throw new ApiError(401, "Invalid refresh token");
-    }
-
-    if (incomingRefreshToken !== user?.refreshToken) {
-      throw new ApiError(401, "Refresh token is expired or used");
-    }
-
-    const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshToken(user._id);
 
     const options = {
       httpOnly: true,
@@ -278,6 +298,171 @@ const changeUserPassword = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
+// Send a password reset link. The response is the same whether or not
+// the email belongs to an account, so it cannot be used to find users.
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email?.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({
+    email: email.trim().toLowerCase(),
+    isActive: true,
+  });
+
+  // A mail failure must not change the response either
+  if (user) {
+    try {
+      await sendPasswordResetEmail(user);
+    } catch (error) {
+      console.log("Could not send password reset email:", error.message);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account uses this email, a reset link has been sent"
+      )
+    );
+});
+
+// Set a new password with a reset token and sign out everywhere
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  if (!newPassword?.trim()) {
+    throw new ApiError(400, "New password is required");
+  }
+
+  const userId = await consumeUserToken(token, "password-reset");
+  const user = await User.findById(userId);
+  if (!user || !user.isActive) {
+    throw new ApiError(400, "Token is invalid or has expired");
+  }
+
+  user.password = newPassword;
+  await user.save({ validateBeforeSave: false });
+
+  // Revoke sessions so every device must log in again
+  await revokeUserSessions(user._id, "password-reset");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
+// Confirm an email address with a verification token
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  const userId = await consumeUserToken(token, "email-verification");
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { emailVerified: true } },
+    { new: true }
+  ).select("-password");
+
+  if (!user) {
+    throw new ApiError(400, "Token is invalid or has expired");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "Email verified successfully"));
+});
+
+// Send a new verification link. Like forgotPassword, the response does not
+// reveal whether the email is registered.
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email?.trim()) {
+    throw new ApiError(400, "Email is required");
+  }
+
+  const user = await User.findOne({
+    email: email.trim().toLowerCase(),
+    emailVerified: false,
+  });
+
+  // A mail failure must not change the response either
+  if (user) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.log("Could not send verification email:", error.message);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If this email needs verifying, a new link has been sent"
+      )
+    );
+});
+
+// List the active sessions of the current user
+const getUserSessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveSessions(req.user._id);
+
+  // Flag the session this request was made from
+  const currentSessionId = req.sessionId?.toString();
+  const result = sessions.map((session) => ({
+    ...session,
+    current: session._id.toString() === currentSessionId,
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Sessions fetched successfully"));
+});
+
+// Revoke one session of the current user
+const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid session ID");
+  }
+
+  const revoked = await revokeSession(req.user._id, id);
+  if (!revoked) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked successfully"));
+});
+
+// Log out everywhere by revoking every session of the current user
+const logoutAllSessions = asyncHandler(async (req, res) => {
+  const revokedCount = await revokeUserSessions(req.user._id);
+
+  const options = {
+    httpOnly: true,
+    secure: true,
+  };
+
+  return res
+    .status(200)
+    .cookie("accessToken", null, options)
+    .cookie("refreshToken", null, options)
+    .json(
+      new ApiResponse(200, { revokedCount }, "Logged out from all sessions")
+    );
+});
+
 // Get user details
 const getUserDetails = asyncHandler(async (req, res) => {
   return res
@@ -296,6 +481,10 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Please fill all the fields");
   }
 
+  // A new email address has to be verified again
+  const emailChanged =
+    email !== undefined && email.trim().toLowerCase() !== req.user.email;
+
   // Update user details
   const user = await User.findOneAndUpdate(
     req.user._id,
@@ -304,10 +493,20 @@ const updateUserProfile = asyncHandler(async (req, res) => {
         email,
         username,
         fullName,
+        ...(emailChanged && { emailVerified: false }),
       },
     },
     { new: true }
-  ).select("-password -refreshToken");
+  ).select("-password");
+
+  // Send the verification link; a mail failure should not undo the update
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.log("Could not send verification email:", error.message);
+    }
+  }
 
   // Return response
   return res
@@ -315,10 +514,21 @@ const updateUserProfile = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, user, "User profile updated successfully"));
 });
 
-// Get All Users
+// Get All Users (admin only)
 const getAllUsers = asyncHandler(async (req, res) => {
+  const { role, isActive } = req.query;
+
+  // Build optional filters
+  const query = {};
+  if (role) {
+    query.role = role;
+  }
+  if (isActive !== undefined) {
+    query.isActive = isActive === "true";
+  }
+
   // Get all users
-  const users = await User.find({}).select("-password -refreshToken");
+  const users = await User.find(query).select("-password");
 
   // Return response
   return res
@@ -326,13 +536,93 @@ const getAllUsers = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, users, "Users fetched successfully"));
 });
 
+// Find a user other than the calling admin
+const findManagedUser = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid user ID");
+  }
+
+  if (req.user._id.equals(id)) {
+    throw new ApiError(400, "You cannot change your own account this way");
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+// Deactivate a user (admin only)
+const deactivateUser = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+
+  // Deactivate and sign the user out
+  user.isActive = false;
+  await user.save({ validateBeforeSave: false });
+  await revokeUserSessions(user._id, "deactivated");
+
+  const updatedUser = await User.findById(user._id).select("-password");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "User deactivated successfully"));
+});
+
+// Reactivate a user (admin only)
+const reactivateUser = asyncHandler(async (req, res) => {
+  const user = await findManagedUser(req);
+
+  user.isActive = true;
+  await user.save({ validateBeforeSave: false });
+
+  const updatedUser = await User.findById(user._id).select("-password");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "User reactivated successfully"));
+});
+
+// Change the role of a user (admin only)
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { role } = req.body;
+
+  if (!["admin", "member"].includes(role)) {
+    throw new ApiError(400, "Invalid role");
+  }
+
+  const user = await findManagedUser(req);
+
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  const updatedUser = await User.findById(user._id).select("-password");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedUser, "User role updated successfully"));
+});
+
 export {
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
   refreshAccessToken,
   changeUserPassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   getUserDetails,
   updateUserProfile,
   getAllUsers,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
 };
@@ -0,0 +1,403 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { View } from "../models/view.model.js";
+import { Task } from "../models/task.model.js";
+import {
+  buildTaskQuery,
+  parseIdList,
+  parseValueList,
+  parsePositiveInt,
+} from "../utils/taskQuery.js";
+import { withProgress } from "../utils/taskProgress.js";
+import { getDoneStatuses } from "../utils/workflow.js";
+import {
+  assertTimeZone,
+  normalizeDateToken,
+  resolveDateToken,
+} from "../utils/dateRange.js";
+import { TASK_SORT_FIELDS } from "../constants.js";
+
+// Filters a view can save
+const VIEW_FILTER_FIELDS = [
+  "status",
+  "priority",
+  "search",
+  "projectId",
+  "assignedTo",
+  "createdBy",
+  "labels",
+  "labelMatch",
+  "due",
+  "includeDone",
+];
+
+// View filters that may hold several values
+const LIST_FILTER_FIELDS = ["status", "labels"];
+
+const GROUP_BY_OPTIONS = [
+  "none",
+  "status",
+  "priority",
+  "project",
+  "assignee",
+  "label",
+];
+
+// Find a view owned by the user
+const findOwnView = async (viewId, userId) => {
+  if (!mongoose.isValidObjectId(viewId)) {
+    throw new ApiError(400, "Invalid view ID.");
+  }
+
+  const view = await View.findOne({ _id: viewId, owner: userId });
+  if (!view) {
+    throw new ApiError(404, "View not found.");
+  }
+
+  return view;
+};
+
+// Make sure the user has no other view with this name
+const assertViewNameFree = async (name, userId, exceptId) => {
+  const existing = await View.findOne({
+    owner: userId,
+    name: name.trim(),
+    _id: { $ne: exceptId },
+  }).collation({ locale: "en", strength: 2 });
+
+  if (existing) {
+    throw new ApiError(400, "A view with this name already exists.");
+  }
+};
+
+// Saved filters as task list query parameters
+const toQueryParams = (filters) => {
+  const params = {};
+
+  for (const field of VIEW_FILTER_FIELDS) {
+    const value = filters[field];
+    if (field === "due" || field === "includeDone") continue;
+    if (value === undefined || value === null) continue;
+    if (Array.isArray(value)) {
+      if (value.length) params[field] = value.map(String);
+    } else {
+      params[field] = String(value);
+    }
+  }
+
+  return params;
+};
+
+// Validate the filters of a view sent by a client
+const parseViewFilters = async (input, userId) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ApiError(400, "Filters must be an object.");
+  }
+
+  const unknown = Object.keys(input).filter(
+    (field) => !VIEW_FILTER_FIELDS.includes(field)
+  );
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown view filters: ${unknown.join(", ")}.`);
+  }
+
+  const filters = {};
+  for (const field of VIEW_FILTER_FIELDS) {
+    const value = input[field];
+    if (value !== undefined && value !== null && value !== "") {
+      if (typeof value === "object" && !LIST_FILTER_FIELDS.includes(field)) {
+        throw new ApiError(400, `${field} must be a single value.`);
+      }
+      filters[field] = value;
+    }
+  }
+
+  // Statuses are saved as a list, as the task list accepts several
+  if (filters.status !== undefined) {
+    filters.status = parseValueList(filters.status);
+    // "all" means no filter, as in the task list
+    if (!filters.status.length || filters.status.includes("all")) {
+      delete filters.status;
+    }
+  }
+  if (filters.priority === "all") delete filters.priority;
+
+  if (
+    filters.priority !== undefined &&
+    !["High", "Medium", "Low"].includes(filters.priority)
+  ) {
+    throw new ApiError(400, "Invalid priority value.");
+  }
+
+  if (filters.labels !== undefined) {
+    filters.labels = parseIdList(filters.labels, "label");
+  }
+
+  if (filters.due !== undefined) {
+    resolveDateToken(filters.due);
+    filters.due = normalizeDateToken(filters.due);
+  }
+
+  if (filters.includeDone !== undefined) {
+    if (![true, false, "true", "false"].includes(filters.includeDone)) {
+      throw new ApiError(400, "includeDone must be true or false.");
+    }
+    filters.includeDone = String(filters.includeDone) === "true";
+  }
+
+  // Reuse the task list validation for IDs, users and project membership
+  await buildTaskQuery(toQueryParams(filters), userId);
+
+  return filters;
+};
+
+// Validate sort, grouping and time zone settings sent by a client
+const parseViewDisplay = ({ sortBy, sortOrder, groupBy, timezone }) => {
+  const display = {};
+
+  if (sortBy !== undefined) {
+    if (!TASK_SORT_FIELDS.includes(sortBy)) {
+      throw new ApiError(
+        400,
+        `sortBy must be one of: ${TASK_SORT_FIELDS.join(", ")}.`
+      );
+    }
+    display.sortBy = sortBy;
+  }
+
+  if (sortOrder !== undefined) {
+    if (!["asc", "desc"].includes(sortOrder)) {
+      throw new ApiError(400, "sortOrder must be either 'asc' or 'desc'.");
+    }
+    display.sortOrder = sortOrder;
+  }
+
+  if (groupBy !== undefined) {
+    if (!GROUP_BY_OPTIONS.includes(groupBy)) {
+      throw new ApiError(
+        400,
+        `groupBy must be one of: ${GROUP_BY_OPTIONS.join(", ")}.`
+      );
+    }
+    display.groupBy = groupBy;
+  }
+
+  if (timezone !== undefined) {
+    display.timezone = assertTimeZone(timezone);
+  }
+
+  return display;
+};
+
+// Build the task query for a view, resolving its date tokens as of now
+const buildViewQuery = async (view, userId, now = new Date()) => {
+  const filters = view.filters?.toObject ? view.filters.toObject() : {};
+  const query = await buildTaskQuery(toQueryParams(filters), userId);
+  const conditions = query.$and || [];
+
+  if (filters.due) {
+    const { from, to } = resolveDateToken(filters.due, {
+      timeZone: view.timezone,
+      now,
+    });
+    query.dueDate = from ? { $gte: from, $lt: to } : { $lt: to };
+  }
+
+  // Overdue tasks and views hiding done tasks leave out finished ones
+  if (filters.includeDone === false || filters.due === "overdue") {
+    const doneStatuses = await getDoneStatuses({
+      userId,
+      projectId: filters.projectId,
+    });
+    conditions.push({ status: { $nin: doneStatuses } });
+  }
+
+  if (conditions.length) query.$and = conditions;
+
+  return query;
+};
+
+// Keys (and display names) of the groups a task belongs to
+const GROUPERS = {
+  status: (task) => [{ key: task.status }],
+  priority: (task) => [{ key: task.priority }],
+  project: (task) =>
+    task.projectId
+      ? [{ key: String(task.projectId._id), name: task.projectId.name }]
+      : [{ key: "none", name: "No project" }],
+  assignee: (task) =>
+    task.assignees.length
+      ? task.assignees.map((user) => ({
+          key: String(user._id),
+          name: user.fullName || user.username,
+        }))
+      : [{ key: "none", name: "Unassigned" }],
+  label: (task) =>
+    task.labels.length
+      ? task.labels.map((label) => ({
+          key: String(label._id),
+          name: label.name,
+        }))
+      : [{ key: "none", name: "No label" }],
+};
+
+// Group tasks in the order their groups first appear. A task with several
+// assignees or labels shows up in each of their groups.
+const groupTasks = (tasks, groupBy) => {
+  const groups = new Map();
+
+  for (const task of tasks) {
+    for (const { key, name } of GROUPERS[groupBy](task)) {
+      if (!groups.has(key)) groups.set(key, { key, name, tasks: [] });
+      groups.get(key).tasks.push(task);
+    }
+  }
+
+  return [...groups.values()];
+};
+
+// Create a saved view
+const createView = asyncHandler(async (req, res) => {
+  const { name, filters = {} } = req.body;
+
+  if (typeof name !== "string" || !name.trim()) {
+    throw new ApiError(400, "View name is required.");
+  }
+
+  const parsedFilters = await parseViewFilters(filters, req.user._id);
+  const display = parseViewDisplay(req.body);
+  await assertViewNameFree(name, req.user._id);
+
+  const view = await View.create({
+    name,
+    owner: req.user._id,
+    filters: parsedFilters,
+    ...display,
+  });
+
+  res
+    .status(201)
+    .json(new ApiResponse(201, view, "View created successfully."));
+});
+
+// Get all of the user's saved views
+const getAllViews = asyncHandler(async (req, res) => {
+  const views = await View.find({ owner: req.user._id }).sort({ name: 1 });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, views, "Views retrieved successfully."));
+});
+
+// Get a saved view by ID
+const getViewById = asyncHandler(async (req, res) => {
+  const view = await findOwnView(req.params.id, req.user._id);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, view, "View retrieved successfully."));
+});
+
+// Update a saved view. Filters sent replace the saved ones as a whole.
+const updateView = asyncHandler(async (req, res) => {
+  const { name, filters } = req.body;
+  const display = parseViewDisplay(req.body);
+
+  if (
+    name === undefined &&
+    filters === undefined &&
+    !Object.keys(display).length
+  ) {
+    throw new ApiError(400, "At least one field is required to update.");
+  }
+
+  if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+    throw new ApiError(400, "View name cannot be empty.");
+  }
+
+  const view = await findOwnView(req.params.id, req.user._id);
+
+  if (name !== undefined) {
+    await assertViewNameFree(name, req.user._id, view._id);
+    view.name = name;
+  }
+  if (filters !== undefined) {
+    view.filters = await parseViewFilters(filters, req.user._id);
+  }
+  Object.assign(view, display);
+  await view.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, view, "View updated successfully."));
+});
+
+// Delete a saved view
+const deleteView = asyncHandler(async (req, res) => {
+  const view = await findOwnView(req.params.id, req.user._id);
+  await view.deleteOne();
+
+  res.status(200).json(new ApiResponse(200, {}, "View deleted successfully."));
+});
+
+// Run a saved view and return its tasks, grouped if the view asks for it
+const getViewTasks = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 50 } = req.query;
+  const view = await findOwnView(req.params.id, req.user._id);
+
+  const pageNumber = parsePositiveInt(page, "Page");
+  const pageSize = parsePositiveInt(limit, "Limit", 200);
+
+  const query = await buildViewQuery(view, req.user._id);
+  const sort = {
+    [view.sortBy]: view.sortOrder === "desc" ? -1 : 1,
+    _id: 1,
+  };
+
+  let taskQuery = Task.find(query)
+    .populate("assignees", "username fullName email")
+    .populate("labels", "name color")
+    .sort(sort)
+    .skip((pageNumber - 1) * pageSize)
+    .limit(pageSize);
+  if (view.groupBy === "project") {
+    taskQuery = taskQuery.populate("projectId", "name");
+  }
+
+  const [tasks, totalTasks] = await Promise.all([
+    taskQuery,
+    Task.countDocuments(query),
+  ]);
+  const tasksWithProgress = await withProgress(tasks);
+  const totalPages = Math.ceil(totalTasks / pageSize);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        view,
+        ...(view.groupBy === "none"
+          ? { tasks: tasksWithProgress }
+          : { groups: groupTasks(tasksWithProgress, view.groupBy) }),
+        totalTasks,
+        currentPage: pageNumber,
+        totalPages,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+      "View tasks retrieved successfully."
+    )
+  );
+});
+
+export {
+  createView,
+  getAllViews,
+  getViewById,
+  updateView,
+  deleteView,
+  getViewTasks,
+};
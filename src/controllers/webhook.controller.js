@@ -0,0 +1,249 @@
+import mongoose from "mongoose";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Webhook } from "../models/webhook.model.js";
+import { WebhookDelivery } from "../models/webhookDelivery.model.js";
+import { parseBooleanParam, parsePositiveInt } from "../utils/taskQuery.js";
+import { generateWebhookSecret, enqueueDelivery } from "../utils/webhooks.js";
+import { WEBHOOK_EVENTS } from "../constants.js";
+
+// Find a webhook owned by the user
+const findOwnWebhook = async (webhookId, userId) => {
+  if (!mongoose.isValidObjectId(webhookId)) {
+    throw new ApiError(400, "Invalid webhook ID.");
+  }
+
+  const webhook = await Webhook.findOne({ _id: webhookId, owner: userId });
+  if (!webhook) {
+    throw new ApiError(404, "Webhook not found.");
+  }
+
+  return webhook;
+};
+
+// Validate an endpoint URL sent by a client
+const parseWebhookUrl = (value) => {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch {
+    throw new ApiError(400, "Webhook URL must be a valid URL.");
+  }
+
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new ApiError(400, "Webhook URL must use http or https.");
+  }
+
+  return url.toString();
+};
+
+// Validate the events a webhook subscribes to
+const parseWebhookEvents = (value) => {
+  const events = Array.isArray(value) ? value : [value];
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+
+  if (!events.length || unknown.length) {
+    throw new ApiError(
+      400,
+      `Events must be one or more of: ${WEBHOOK_EVENTS.join(", ")}.`
+    );
+  }
+
+  return [...new Set(events)];
+};
+
+// Register a webhook. The signing secret is only returned here and when it
+// is rotated.
+const createWebhook = asyncHandler(async (req, res) => {
+  const { url, events, description } = req.body;
+
+  if (!url) {
+    throw new ApiError(400, "Webhook URL is required.");
+  }
+  if (events === undefined) {
+    throw new ApiError(400, "At least one event is required.");
+  }
+
+  const secret = generateWebhookSecret();
+  const webhook = await Webhook.create({
+    owner: req.user._id,
+    url: parseWebhookUrl(url),
+    events: parseWebhookEvents(events),
+    description,
+    secret,
+  });
+
+  res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { ...webhook.toObject(), secret },
+        "Webhook created successfully."
+      )
+    );
+});
+
+// Get all of the user's webhooks
+const getAllWebhooks = asyncHandler(async (req, res) => {
+  const webhooks = await Webhook.find({ owner: req.user._id }).sort({
+    createdAt: -1,
+  });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, webhooks, "Webhooks retrieved successfully."));
+});
+
+// Get a webhook by ID
+const getWebhookById = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook retrieved successfully."));
+});
+
+// Update a webhook's URL, events, description or active flag
+const updateWebhook = asyncHandler(async (req, res) => {
+  const { url, events, description, active } = req.body;
+
+  if ([url, events, description, active].every((v) => v === undefined)) {
+    throw new ApiError(400, "At least one field is required to update.");
+  }
+
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  if (url !== undefined) webhook.url = parseWebhookUrl(url);
+  if (events !== undefined) webhook.events = parseWebhookEvents(events);
+  if (description !== undefined) webhook.description = description;
+  if (active !== undefined) {
+    webhook.active = parseBooleanParam(active, "active");
+  }
+  await webhook.save();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, webhook, "Webhook updated successfully."));
+});
+
+// Delete a webhook and its delivery log
+const deleteWebhook = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Webhook deleted successfully."));
+});
+
+// Replace a webhook's signing secret
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  const secret = generateWebhookSecret();
+  webhook.secret = secret;
+  await webhook.save();
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...webhook.toObject(), secret },
+        "Webhook secret rotated."
+      )
+    );
+});
+
+// Get a webhook's delivery log, newest first
+const getWebhookDeliveries = asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20, status } = req.query;
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  const pageNumber = parsePositiveInt(page, "Page");
+  const pageSize = parsePositiveInt(limit, "Limit", 100);
+
+  const query = { webhook: webhook._id };
+  if (status) {
+    if (!["pending", "succeeded", "failed"].includes(status)) {
+      throw new ApiError(
+        400,
+        "Status must be one of: pending, succeeded, failed."
+      );
+    }
+    query.status = status;
+  }
+
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize),
+    WebhookDelivery.countDocuments(query),
+  ]);
+  const totalPages = Math.ceil(total / pageSize);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        deliveries,
+        total,
+        currentPage: pageNumber,
+        totalPages,
+        limit: pageSize,
+        hasNextPage: pageNumber < totalPages,
+        hasPrevPage: pageNumber > 1,
+      },
+      "Webhook deliveries retrieved successfully."
+    )
+  );
+});
+
+// Send a logged delivery's payload again as a new delivery
+const replayWebhookDelivery = asyncHandler(async (req, res) => {
+  const { deliveryId } = req.params;
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+
+  if (!mongoose.isValidObjectId(deliveryId)) {
+    throw new ApiError(400, "Invalid delivery ID.");
+  }
+
+  const delivery = await WebhookDelivery.findOne({
+    _id: deliveryId,
+    webhook: webhook._id,
+  });
+  if (!delivery) {
+    throw new ApiError(404, "Delivery not found.");
+  }
+
+  if (!webhook.active) {
+    throw new ApiError(400, "Activate the webhook before replaying.");
+  }
+
+  const replay = await enqueueDelivery(
+    webhook,
+    delivery.event,
+    delivery.payload,
+    { replayOf: delivery._id }
+  );
+
+  res
+    .status(202)
+    .json(new ApiResponse(202, replay, "Delivery queued for replay."));
+});
+
+export {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+};
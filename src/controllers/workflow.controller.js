@@ -0,0 +1,156 @@
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { Workflow } from "../models/workflow.model.js";
+import { Task } from "../models/task.model.js";
+import { getProjectForMember } from "../utils/projectAccess.js";
+import {
+  DEFAULT_WORKFLOW,
+  resolveWorkflow,
+  parseWorkflowDefinition,
+} from "../utils/workflow.js";
+import { PROJECT_MANAGER_ROLES } from "../constants.js";
+
+// Shape a resolved workflow for responses
+const serializeWorkflow = (workflow) => ({
+  source: workflow.source,
+  statuses: workflow.statuses,
+  transitions: workflow.transitions,
+  initialStatus: workflow.initialStatus,
+  doneStatuses: workflow.doneStatuses,
+});
+
+// Refuse a workflow that drops statuses tasks are still using
+const assertStatusesCovered = async (taskQuery, statuses) => {
+  const keys = statuses.map((status) => status.key);
+  const usedStatuses = await Task.distinct("status", taskQuery);
+  const missing = usedStatuses.filter((status) => !keys.includes(status));
+
+  if (missing.length) {
+    throw new ApiError(
+      400,
+      `Tasks still use statuses missing from this workflow: ${missing.join(", ")}.`
+    );
+  }
+};
+
+// Personal tasks follow the user's workflow
+const personalTaskQuery = (userId) => ({
+  userId,
+  projectId: { $exists: false },
+});
+
+// Get the user's workflow for personal tasks
+const getMyWorkflow = asyncHandler(async (req, res) => {
+  const workflow = await resolveWorkflow({ userId: req.user._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, serializeWorkflow(workflow), "Workflow retrieved.")
+    );
+});
+
+// Set the user's workflow for personal tasks
+const setMyWorkflow = asyncHandler(async (req, res) => {
+  const definition = parseWorkflowDefinition(req.body);
+  await assertStatusesCovered(
+    personalTaskQuery(req.user._id),
+    definition.statuses
+  );
+
+  await Workflow.findOneAndUpdate(
+    { owner: req.user._id },
+    { ...definition, owner: req.user._id },
+    { upsert: true, new: true, runValidators: true }
+  );
+  const workflow = await resolveWorkflow({ userId: req.user._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, serializeWorkflow(workflow), "Workflow updated.")
+    );
+});
+
+// Go back to the default workflow for personal tasks
+const resetMyWorkflow = asyncHandler(async (req, res) => {
+  await assertStatusesCovered(
+    personalTaskQuery(req.user._id),
+    DEFAULT_WORKFLOW.statuses
+  );
+
+  await Workflow.deleteOne({ owner: req.user._id });
+  const workflow = await resolveWorkflow({ userId: req.user._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, serializeWorkflow(workflow), "Workflow reset."));
+});
+
+// Get a project's workflow
+const getProjectWorkflow = asyncHandler(async (req, res) => {
+  const { project } = await getProjectForMember(req.params.id, req.user._id);
+  const workflow = await resolveWorkflow({ projectId: project._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, serializeWorkflow(workflow), "Workflow retrieved.")
+    );
+});
+
+// Set a project's workflow
+const setProjectWorkflow = asyncHandler(async (req, res) => {
+  const { project } = await getProjectForMember(
+    req.params.id,
+    req.user._id,
+    PROJECT_MANAGER_ROLES
+  );
+
+  const definition = parseWorkflowDefinition(req.body);
+  await assertStatusesCovered({ projectId: project._id }, definition.statuses);
+
+  await Workflow.findOneAndUpdate(
+    { projectId: project._id },
+    { ...definition, projectId: project._id },
+    { upsert: true, new: true, runValidators: true }
+  );
+  const workflow = await resolveWorkflow({ projectId: project._id });
+
+  res
+    .status(200)
+    .json(
+      new ApiResponse(200, serializeWorkflow(workflow), "Workflow updated.")
+    );
+});
+
+// Go back to the default workflow for a project
+const resetProjectWorkflow = asyncHandler(async (req, res) => {
+  const { project } = await getProjectForMember(
+    req.params.id,
+    req.user._id,
+    PROJECT_MANAGER_ROLES
+  );
+
+  await assertStatusesCovered(
+    { projectId: project._id },
+    DEFAULT_WORKFLOW.statuses
+  );
+
+  await Workflow.deleteOne({ projectId: project._id });
+  const workflow = await resolveWorkflow({ projectId: project._id });
+
+  res
+    .status(200)
+    .json(new ApiResponse(200, serializeWorkflow(workflow), "Workflow reset."));
+});
+
+export {
+  getMyWorkflow,
+  setMyWorkflow,
+  resetMyWorkflow,
+  getProjectWorkflow,
+  setProjectWorkflow,
+  resetProjectWorkflow,
+};
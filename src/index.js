@@ -1,6 +1,9 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startReminderScheduler } from "./utils/reminderScheduler.js";
+import { startWebhookDispatcher } from "./utils/webhooks.js";
+import { clearLegacyRefreshTokens } from "./utils/sessions.js";
 dotenv.config({
   path: "./.env",
 });
@@ -11,6 +14,19 @@ connectDB()
     app.listen(process.env.PORT, () => {
       console.log(`Server is running on port ${process.env.PORT}`);
     });
+
+    // Due date reminders, unless turned off with REMINDERS_ENABLED=false
+    if (process.env.REMINDERS_ENABLED !== "false") {
+      startReminderScheduler();
+    }
+
+    // Retries of outgoing webhook deliveries
+    startWebhookDispatcher();
+
+    // One-off cleanup of refresh tokens stored before sessions existed
+    clearLegacyRefreshTokens().catch((error) =>
+      console.log("Could not clear old refresh tokens:", error.message)
+    );
   })
   .catch((err) => {
     console.log("Error connecting to the database:", err);
@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { isSessionActive } from "../utils/sessions.js";
 
 export const verifyJWT = asyncHandler(async (req, _, next) => {
   try {
@@ -15,17 +16,50 @@ export const verifyJWT = asyncHandler(async (req, _, next) => {
     }
 
     const decodeToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-    const user = await User.findById(decodeToken?._id).select(
-      "-password -refreshToken"
-    );
+    const user = await User.findById(decodeToken?._id).select("-password");
 
     if (!user) {
       throw new ApiError(401, "Invalid Access Token");
     }
 
+    if (!user.isActive) {
+      throw new ApiError(401, "User account is deactivated");
+    }
+
+    // Every access token belongs to a session, and tokens of a revoked
+    // session stop working before they expire
+    if (!decodeToken.sid) {
+      throw new ApiError(401, "Invalid access Token");
+    }
+    if (!(await isSessionActive(decodeToken.sid, user._id))) {
+      throw new ApiError(401, "Session has been revoked");
+    }
+
     req.user = user;
+    req.sessionId = decodeToken.sid;
     next();
   } catch (error) {
     throw new ApiError(401, error?.message || "Invalid access Token");
   }
 });
+
+// Allow only users holding one of the given roles (use after verifyJWT)
+export const authorizeRoles = (...roles) =>
+  asyncHandler(async (req, _, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      throw new ApiError(403, "You are not allowed to access this resource");
+    }
+
+    next();
+  });
+
+// Let clients that cannot set headers, such as the browser EventSource,
+// pass the access token as ?access_token= (use before verifyJWT)
+export const acceptQueryToken = (req, _, next) => {
+  const token = req.query?.access_token;
+  if (token && !req.header("Authorization")) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  next();
+};
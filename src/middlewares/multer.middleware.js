@@ -0,0 +1,99 @@
+import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+import { detectFileType } from "../utils/fileType.js";
+
+const DEFAULT_ALLOWED_TYPES = [
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "application/pdf",
+  "text/plain",
+  "text/csv",
+  "application/zip",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+];
+
+// Parse text fields of multipart forms (no files)
+export const parseFormFields = multer().none();
+
+// Take a single file from the "file" field into memory and report multer's
+// errors as ApiErrors. `fileFilter` screens files by their declared details
+// and `checkFile` can reject the received file by returning an ApiError.
+const singleFileUpload = ({ maxSizeMb, fileFilter, checkFile }) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxSizeMb * 1024 * 1024, files: 1 },
+    fileFilter,
+  }).single("file");
+
+  return (req, res, next) =>
+    upload(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400;
+        const message =
+          err.code === "LIMIT_FILE_SIZE"
+            ? `File exceeds the ${maxSizeMb} MB limit`
+            : err.message;
+        return next(new ApiError(statusCode, message));
+      }
+      if (err || !req.file || !checkFile) {
+        return next(err);
+      }
+
+      next(checkFile(req.file));
+    });
+};
+
+// Accept a single attachment in the "file" field, held in memory until the
+// storage backend saves it. Limits come from ATTACHMENT_MAX_SIZE_MB and
+// ATTACHMENT_ALLOWED_TYPES (comma separated MIME types). The type is taken
+// from the file's contents, not from what the client declared.
+export const uploadAttachment = (req, res, next) => {
+  const allowedTypes = process.env.ATTACHMENT_ALLOWED_TYPES
+    ? process.env.ATTACHMENT_ALLOWED_TYPES.split(",").map((type) => type.trim())
+    : DEFAULT_ALLOWED_TYPES;
+
+  singleFileUpload({
+    maxSizeMb: Number(process.env.ATTACHMENT_MAX_SIZE_MB) || 10,
+    checkFile: (file) => {
+      const fileType = detectFileType(file.buffer, file.originalname);
+      if (!allowedTypes.includes(fileType)) {
+        return new ApiError(
+          415,
+          `File type ${fileType ?? "unknown"} not allowed`
+        );
+      }
+      file.mimetype = fileType;
+    },
+  })(req, res, next);
+};
+
+const IMPORT_TYPES = [
+  "text/csv",
+  "text/plain",
+  "application/json",
+  "application/vnd.ms-excel",
+  "application/octet-stream",
+];
+
+// Accept an optional CSV or JSON file in the "file" field for task imports,
+// up to IMPORT_MAX_SIZE_MB (default 5)
+export const uploadImportFile = (req, res, next) =>
+  singleFileUpload({
+    maxSizeMb: Number(process.env.IMPORT_MAX_SIZE_MB) || 5,
+    fileFilter: (_, file, cb) => {
+      if (
+        !IMPORT_TYPES.includes(file.mimetype) ||
+        !/\.(csv|json)$/i.test(file.originalname)
+      ) {
+        return cb(
+          new ApiError(415, "Only .csv and .json files can be imported")
+        );
+      }
+      cb(null, true);
+    },
+  })(req, res, next);
@@ -0,0 +1,58 @@
+import mongoose, { Schema } from "mongoose";
+import { getFileStorage } from "../utils/fileStorage.js";
+
+const attachmentSchema = new Schema(
+  {
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    uploadedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+attachmentSchema.index({ task: 1, createdAt: -1 });
+
+// Delete the attachment records of the given tasks. Returns a function that
+// removes their stored files, to call once the deletion is committed.
+attachmentSchema.statics.removeForTasks = async function (
+  taskIds,
+  { session = null } = {}
+) {
+  const attachments = await this.find({ task: { $in: taskIds } })
+    .select("+storageKey")
+    .session(session);
+  await this.deleteMany({ task: { $in: taskIds } }, { session });
+
+  const storage = getFileStorage();
+  return () =>
+    Promise.all(
+      attachments.map((attachment) => storage.remove(attachment.storageKey))
+    );
+};
+
+export const Attachment = mongoose.model("Attachment", attachmentSchema);
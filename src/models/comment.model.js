@@ -0,0 +1,35 @@
+import mongoose, { Schema } from "mongoose";
+
+const commentSchema = new Schema(
+  {
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    author: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    mentions: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    editedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ task: 1, createdAt: 1 });
+
+export const Comment = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,31 @@
+import mongoose, { Schema } from "mongoose";
+
+const labelSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    color: {
+      type: String,
+      trim: true,
+      match: /^#[0-9a-fA-F]{6}$/,
+      default: "#808080",
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Label names are unique per user, ignoring case
+labelSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+export const Label = mongoose.model("Label", labelSchema);
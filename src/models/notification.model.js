@@ -0,0 +1,49 @@
+import mongoose, { Schema } from "mongoose";
+
+const notificationSchema = new Schema(
+  {
+    recipient: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["due-soon", "overdue"],
+      required: true,
+    },
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    // Due date the reminder was for, so a rescheduled task is reminded again
+    dueDate: {
+      type: Date,
+    },
+    message: {
+      type: String,
+      required: true,
+    },
+    // Channels the notification went out on, see utils/notificationChannels.js
+    channels: [
+      {
+        type: String,
+      },
+    ],
+    readAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+// One reminder of each kind per recipient, task and due date
+notificationSchema.index(
+  { recipient: 1, task: 1, type: 1, dueDate: 1 },
+  { unique: true, partialFilterExpression: { task: { $exists: true } } }
+);
+
+export const Notification = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,51 @@
+import mongoose, { Schema } from "mongoose";
+
+const projectMemberSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ["admin", "member", "viewer"],
+      default: "member",
+    },
+  },
+  { _id: false }
+);
+
+const projectSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [projectMemberSchema],
+  },
+  { timestamps: true }
+);
+
+projectSchema.index({ owner: 1 });
+projectSchema.index({ "members.user": 1 });
+
+// Resolve the role a user holds in this project, or null if not a member
+projectSchema.methods.getMemberRole = function (userId) {
+  if (this.owner.equals(userId)) return "owner";
+
+  const member = this.members.find((m) => m.user.equals(userId));
+  return member ? member.role : null;
+};
+
+export const Project = mongoose.model("Project", projectSchema);
@@ -1,5 +1,80 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { getTaskWorkflow } from "../utils/workflow.js";
+
+const taskShareSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    permission: {
+      type: String,
+      enum: ["view", "comment", "edit"],
+      default: "view",
+    },
+    grantedBy: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { _id: false, timestamps: true }
+);
+
+const checklistItemSchema = new Schema(
+  {
+    text: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    done: {
+      type: Boolean,
+      default: false,
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+const recurrenceSchema = new Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly", "interval"],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    weekdays: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    dayOfMonth: {
+      type: Number,
+      min: 1,
+      max: 31,
+    },
+    endDate: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
 
 const taskSchema = new Schema(
   {
@@ -12,10 +87,11 @@ const taskSchema = new Schema(
       type: String,
       trim: true,
     },
+    // Allowed values come from the workflow of the task's project or owner
     status: {
       type: String,
-      enum: ["pending", "in-progress", "completed"],
-      default: "pending",
+      required: true,
+      trim: true,
     },
     priority: {
       type: String,
@@ -31,11 +107,106 @@ const taskSchema = new Schema(
       ref: "User",
       required: true,
     },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    assignees: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    shares: [taskShareSchema],
+    labels: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Label",
+      },
+    ],
+    checklist: [checklistItemSchema],
+    parentTaskId: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    autoCompleteFromSubtasks: {
+      type: Boolean,
+      default: false,
+    },
+    blockedBy: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Task",
+      },
+    ],
+    recurrence: recurrenceSchema,
+    // Position within its status column on the board, see utils/rank.js
+    rank: {
+      type: String,
+    },
+    seriesId: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+    },
+    occurrenceIndex: {
+      type: Number,
+    },
+    // When the task last entered a done status, cleared when reopened
+    completedAt: {
+      type: Date,
+    },
+    // When the reminder sweep should next look at the task, null when no
+    // reminder is pending (see utils/reminderScheduler.js)
+    nextReminderAt: {
+      type: Date,
+    },
   },
   { timestamps: true }
 );
 
+// Changes that can make a reminder due have the next sweep look again
+taskSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    ["dueDate", "status", "userId", "assignees"].some((path) =>
+      this.isModified(path)
+    )
+  ) {
+    this.nextReminderAt = new Date();
+  }
+  next();
+});
+
+// Keep completedAt in step with the status and the task's workflow
+taskSchema.pre("save", async function (next) {
+  if (!this.isNew && !this.isModified("status")) return next();
+
+  // Callers that already resolved the workflow leave it in $locals
+  const workflow = this.$locals.workflow || (await getTaskWorkflow(this));
+  if (!workflow.isDone(this.status)) {
+    this.completedAt = undefined;
+  } else if (!this.completedAt) {
+    this.completedAt = new Date();
+  }
+  next();
+});
+
 taskSchema.index({ userId: 1 });
+taskSchema.index({ projectId: 1 });
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ "shares.user": 1 });
+taskSchema.index({ parentTaskId: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ projectId: 1, status: 1, rank: 1 });
+taskSchema.index({ seriesId: 1, occurrenceIndex: 1 });
+taskSchema.index({ completedAt: 1 });
+taskSchema.index({ nextReminderAt: 1 });
+// Full-text search, see utils/textSearch.js. Title matches weigh more.
+taskSchema.index(
+  { title: "text", description: "text" },
+  { name: "task_text_search", weights: { title: 5, description: 1 } }
+);
 
 taskSchema.plugin(mongooseAggregatePaginate);
 export const Task = mongoose.model("Task", taskSchema);
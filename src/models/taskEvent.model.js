@@ -0,0 +1,53 @@
+import mongoose, { Schema } from "mongoose";
+
+// How long events are kept for clients catching up after a reconnect
+const RETENTION_SECONDS = 24 * 60 * 60;
+
+// A change to a task as pushed to realtime clients. The task's creator,
+// project, assignees and shares are copied so visibility can be checked
+// without loading the task, which may no longer exist.
+const taskEventSchema = new Schema(
+  {
+    event: {
+      type: String,
+      required: true,
+    },
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    assignees: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+    sharedWith: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+taskEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: RETENTION_SECONDS }
+);
+
+export const TaskEvent = mongoose.model("TaskEvent", taskEventSchema);
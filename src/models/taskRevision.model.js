@@ -0,0 +1,46 @@
+import mongoose, { Schema } from "mongoose";
+
+const fieldChangeSchema = new Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    before: {
+      type: Schema.Types.Mixed,
+    },
+    after: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { _id: false }
+);
+
+const taskRevisionSchema = new Schema(
+  {
+    task: {
+      type: Schema.Types.ObjectId,
+      ref: "Task",
+      required: true,
+    },
+    actor: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "status", "delete", "revert"],
+      required: true,
+    },
+    changes: [fieldChangeSchema],
+    // Tracked fields as they stood after this revision, used for reverts
+    snapshot: {
+      type: Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+taskRevisionSchema.index({ task: 1, createdAt: -1 });
+
+export const TaskRevision = mongoose.model("TaskRevision", taskRevisionSchema);
@@ -29,12 +29,47 @@ const userSchema = new Schema(
       type: String,
       required: [true, "Password is required"],
     },
-    refreshToken: {
+    role: {
       type: String,
-      select: false,
+      enum: ["admin", "member"],
+      default: "member",
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // False until a user registered with verification confirms their
+    // address; unset for accounts created before verification existed
+    emailVerified: {
+      type: Boolean,
     },
-    refreshToken: {
+    // Due date reminders, see utils/reminderScheduler.js
+    notificationSettings: {
+      dueSoon: {
+        type: Boolean,
+        default: true,
+      },
+      overdue: {
+        type: Boolean,
+        default: true,
+      },
+      // How long before the due date the reminder goes out
+      reminderOffsetMinutes: {
+        type: Number,
+        min: 5,
+        max: 7 * 24 * 60,
+        default: 24 * 60,
+      },
+      channels: {
+        type: [String],
+        default: ["in-app"],
+      },
+    },
+    // SHA-256 of the secret token in the user's calendar feed URL
+    calendarFeedToken: {
       type: String,
+      select: false,
+      index: { unique: true, sparse: true },
     },
   },
   { timestamps: true }
@@ -51,13 +86,15 @@ userSchema.methods.isPasswordCorrect = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateAccessToken = function () {
+// Tokens name the session they belong to (see utils/sessions.js)
+userSchema.methods.generateAccessToken = function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
       email: this.email,
       username: this.username,
       fullName: this.fullName,
+      sid: sessionId,
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -65,14 +102,16 @@ userSchema.methods.generateAccessToken = function () {
     }
   );
 };
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateRefreshToken = function (sessionId, tokenId) {
   return jwt.sign(
     {
       _id: this._id,
+      sid: sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "10d",
+      jwtid: tokenId,
     }
   );
 };
@@ -0,0 +1,37 @@
+import mongoose, { Schema } from "mongoose";
+
+// Single-use tokens mailed to users, stored as SHA-256 hashes only
+const userTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["password-reset", "email-verification"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+// Expired tokens are removed by MongoDB
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const UserToken = mongoose.model("UserToken", userTokenSchema);
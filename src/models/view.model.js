@@ -0,0 +1,90 @@
+import mongoose, { Schema } from "mongoose";
+import { TASK_SORT_FIELDS } from "../constants.js";
+
+// The getAllTasks filters a view applies, plus a dynamic due date
+const viewFilterSchema = new Schema(
+  {
+    // One status or several
+    status: {
+      type: [String],
+      default: undefined,
+    },
+    priority: {
+      type: String,
+      enum: ["High", "Medium", "Low"],
+    },
+    search: String,
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // "me" or a user ID, as in the task list query
+    assignedTo: String,
+    createdBy: String,
+    labels: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Label",
+      },
+    ],
+    labelMatch: {
+      type: String,
+      enum: ["any", "all"],
+    },
+    // Resolved when the view runs, see utils/dateRange.js
+    due: String,
+    includeDone: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { _id: false }
+);
+
+const viewSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    filters: {
+      type: viewFilterSchema,
+      default: () => ({}),
+    },
+    sortBy: {
+      type: String,
+      enum: TASK_SORT_FIELDS,
+      default: "dueDate",
+    },
+    sortOrder: {
+      type: String,
+      enum: ["asc", "desc"],
+      default: "asc",
+    },
+    groupBy: {
+      type: String,
+      enum: ["none", "status", "priority", "project", "assignee", "label"],
+      default: "none",
+    },
+    // Time zone "today" and "this week" are worked out in
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+  },
+  { timestamps: true }
+);
+
+// View names are unique per user, ignoring case
+viewSchema.index(
+  { owner: 1, name: 1 },
+  { unique: true, collation: { locale: "en", strength: 2 } }
+);
+
+export const View = mongoose.model("View", viewSchema);
@@ -0,0 +1,43 @@
+import mongoose, { Schema } from "mongoose";
+import { WEBHOOK_EVENTS } from "../constants.js";
+
+const webhookSchema = new Schema(
+  {
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    events: [
+      {
+        type: String,
+        enum: WEBHOOK_EVENTS,
+      },
+    ],
+    // Key for the HMAC signature on every delivery, shown once on creation
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ owner: 1 });
+webhookSchema.index({ events: 1, active: 1 });
+
+export const Webhook = mongoose.model("Webhook", webhookSchema);
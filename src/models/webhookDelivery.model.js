@@ -0,0 +1,55 @@
+import mongoose, { Schema } from "mongoose";
+
+const webhookDeliverySchema = new Schema(
+  {
+    webhook: {
+      type: Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    payload: {
+      type: Schema.Types.Mixed,
+      required: true,
+    },
+    // pending until it succeeds or runs out of attempts
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // When the next attempt is due; also leased while an attempt runs
+    nextAttemptAt: {
+      type: Date,
+    },
+    responseStatus: {
+      type: Number,
+    },
+    lastError: {
+      type: String,
+    },
+    deliveredAt: {
+      type: Date,
+    },
+    replayOf: {
+      type: Schema.Types.ObjectId,
+      ref: "WebhookDelivery",
+    },
+  },
+  { timestamps: true }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
@@ -0,0 +1,67 @@
+import mongoose, { Schema } from "mongoose";
+
+const workflowStatusSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Tasks in a "done" status count as finished
+    category: {
+      type: String,
+      enum: ["todo", "in-progress", "done"],
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const workflowTransitionSchema = new Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const workflowSchema = new Schema(
+  {
+    // A workflow belongs to either a user or a project
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+    },
+    projectId: {
+      type: Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    // Ordered; the first status is where new tasks start
+    statuses: [workflowStatusSchema],
+    // Allowed moves between statuses; empty allows every move
+    transitions: [workflowTransitionSchema],
+  },
+  { timestamps: true }
+);
+
+workflowSchema.index(
+  { owner: 1 },
+  { unique: true, partialFilterExpression: { owner: { $exists: true } } }
+);
+workflowSchema.index(
+  { projectId: 1 },
+  { unique: true, partialFilterExpression: { projectId: { $exists: true } } }
+);
+
+export const Workflow = mongoose.model("Workflow", workflowSchema);
@@ -0,0 +1,22 @@
+import { Router } from "express";
+import {
+  uploadTaskAttachment,
+  getTaskAttachments,
+  downloadTaskAttachment,
+  deleteTaskAttachment,
+} from "../controllers/attachment.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { uploadAttachment } from "../middlewares/multer.middleware.js";
+
+// Mounted under /api/v1/tasks/:id/attachments
+const router = Router({ mergeParams: true });
+router.use(verifyJWT);
+
+router
+  .route("/")
+  .post(uploadAttachment, uploadTaskAttachment)
+  .get(getTaskAttachments);
+router.route("/:attachmentId").delete(deleteTaskAttachment);
+router.route("/:attachmentId/download").get(downloadTaskAttachment);
+
+export default router;
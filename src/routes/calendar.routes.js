@@ -0,0 +1,9 @@
+import { Router } from "express";
+import { getCalendarFeed } from "../controllers/calendar.controller.js";
+
+// Public: the feed token in the URL authenticates the request
+const router = Router();
+
+router.route("/:token").get(getCalendarFeed);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+  createComment,
+  getTaskComments,
+  updateComment,
+  deleteComment,
+} from "../controllers/comment.controller.js";
+
+// Mounted under /api/v1/tasks/:id/comments
+const router = Router({ mergeParams: true });
+
+router.route("/").post(createComment).get(getTaskComments);
+router.route("/:commentId").patch(updateComment).delete(deleteComment);
+
+export default router;
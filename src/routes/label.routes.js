@@ -0,0 +1,16 @@
+import { Router } from "express";
+import {
+  createLabel,
+  getAllLabels,
+  updateLabel,
+  deleteLabel,
+} from "../controllers/label.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").post(createLabel).get(getAllLabels);
+router.route("/:id").patch(updateLabel).delete(deleteLabel);
+
+export default router;
@@ -0,0 +1,24 @@
+import { Router } from "express";
+import {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getNotificationSettings,
+  updateNotificationSettings,
+} from "../controllers/notification.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").get(getNotifications);
+router.route("/unread-count").get(getUnreadCount);
+router.route("/read-all").patch(markAllNotificationsRead);
+router
+  .route("/settings")
+  .get(getNotificationSettings)
+  .patch(updateNotificationSettings);
+router.route("/:id/read").patch(markNotificationRead);
+
+export default router;
@@ -0,0 +1,39 @@
+import { Router } from "express";
+import {
+  createProject,
+  getAllProjects,
+  getProjectById,
+  updateProjectById,
+  deleteProjectById,
+  addProjectMember,
+  updateProjectMember,
+  removeProjectMember,
+} from "../controllers/project.controller.js";
+import {
+  getProjectWorkflow,
+  setProjectWorkflow,
+  resetProjectWorkflow,
+} from "../controllers/workflow.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").post(createProject).get(getAllProjects);
+router
+  .route("/:id")
+  .get(getProjectById)
+  .patch(updateProjectById)
+  .delete(deleteProjectById);
+router
+  .route("/:id/workflow")
+  .get(getProjectWorkflow)
+  .put(setProjectWorkflow)
+  .delete(resetProjectWorkflow);
+router.route("/:id/members").post(addProjectMember);
+router
+  .route("/:id/members/:userId")
+  .patch(updateProjectMember)
+  .delete(removeProjectMember);
+
+export default router;
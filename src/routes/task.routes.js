@@ -6,18 +6,67 @@ import {
   updateTaskById,
   deleteTaskById,
   updateTaskStatus,
+  assignTask,
+  unassignTask,
+  shareTask,
+  getTaskShares,
+  revokeTaskShare,
+  stopTaskRecurrence,
+  getTaskHistory,
+  revertTaskToRevision,
+  addTaskDependency,
+  removeTaskDependency,
 } from "../controllers/task.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+  removeChecklistItem,
+} from "../controllers/checklist.controller.js";
+import { getTaskBoard, moveTask } from "../controllers/board.controller.js";
+import { bulkUpdateTasks } from "../controllers/bulk.controller.js";
+import { searchTasks } from "../controllers/search.controller.js";
+import { getTaskStats } from "../controllers/stats.controller.js";
+import { streamTaskEvents } from "../controllers/event.controller.js";
+import { exportTasks } from "../controllers/taskTransfer.controller.js";
+import commentRouter from "./comment.routes.js";
+import { verifyJWT, acceptQueryToken } from "../middlewares/auth.middleware.js";
 
 const router = Router();
+
+// The live event stream also accepts the token in the query string
+router.route("/events").get(acceptQueryToken, verifyJWT, streamTaskEvents);
+
 router.use(verifyJWT);
 
 router.route("/").post(createTask).get(getAllTasks);
+router.route("/board").get(getTaskBoard);
+router.route("/bulk").post(bulkUpdateTasks);
+router.route("/search").get(searchTasks);
+router.route("/stats").get(getTaskStats);
+router.route("/export").get(exportTasks);
 router
   .route("/:id")
   .get(getTaskById)
   .patch(updateTaskById)
   .delete(deleteTaskById);
 router.route("/status/:id").patch(updateTaskStatus);
+router.route("/:id/move").patch(moveTask);
+router.route("/:id/assignees").post(assignTask);
+router.route("/:id/assignees/:userId").delete(unassignTask);
+router.route("/:id/shares").post(shareTask).get(getTaskShares);
+router.route("/:id/shares/:userId").delete(revokeTaskShare);
+router.use("/:id/comments", commentRouter);
+router.route("/:id/history").get(getTaskHistory);
+router.route("/:id/history/:revisionId/revert").post(revertTaskToRevision);
+router.route("/:id/dependencies").post(addTaskDependency);
+router.route("/:id/dependencies/:blockerId").delete(removeTaskDependency);
+router.route("/:id/recurrence").delete(stopTaskRecurrence);
+router.route("/:id/checklist").post(addChecklistItem);
+router.route("/:id/checklist/reorder").patch(reorderChecklist);
+router
+  .route("/:id/checklist/:itemId")
+  .patch(updateChecklistItem)
+  .delete(removeChecklistItem);
 
 export default router;
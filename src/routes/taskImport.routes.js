@@ -0,0 +1,13 @@
+import { Router } from "express";
+import { importTasks } from "../controllers/taskTransfer.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { uploadImportFile } from "../middlewares/multer.middleware.js";
+
+// Mounted under /api/v1/tasks/import, ahead of the task router, so the
+// file upload is parsed here rather than by its form field parser
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").post(uploadImportFile, importTasks);
+
+export default router;
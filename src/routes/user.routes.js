@@ -3,24 +3,70 @@ import {
   registerUser,
   loginUser,
   logoutUser,
+  logoutAllSessions,
+  getUserSessions,
+  revokeUserSession,
   getUserDetails,
   getAllUsers,
   updateUserProfile,
   changeUserPassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   refreshAccessToken,
+  deactivateUser,
+  reactivateUser,
+  updateUserRole,
 } from "../controllers/user.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  getMyWorkflow,
+  setMyWorkflow,
+  resetMyWorkflow,
+} from "../controllers/workflow.controller.js";
+import {
+  regenerateCalendarFeed,
+  revokeCalendarFeed,
+} from "../controllers/calendar.controller.js";
+import { verifyJWT, authorizeRoles } from "../middlewares/auth.middleware.js";
 
 const router = Router();
 router.route("/register").post(registerUser);
 router.route("/login").post(loginUser);
+router.route("/forgot-password").post(forgotPassword);
+router.route("/reset-password").post(resetPassword);
+router.route("/verify-email").post(verifyEmail);
+router.route("/resend-verification").post(resendVerificationEmail);
 
 //Secure routes
 router.route("/logout").post(verifyJWT, logoutUser);
+router.route("/logout-all").post(verifyJWT, logoutAllSessions);
 router.route("/refresh-token").post(refreshAccessToken);
+router.route("/sessions").get(verifyJWT, getUserSessions);
+router.route("/sessions/:id").delete(verifyJWT, revokeUserSession);
 router.route("/change-password").post(verifyJWT, changeUserPassword);
 router.route("/profile").get(verifyJWT, getUserDetails);
 router.route("/update-profile").patch(verifyJWT, updateUserProfile);
-router.route("/").get(verifyJWT, getAllUsers);
+router
+  .route("/workflow")
+  .get(verifyJWT, getMyWorkflow)
+  .put(verifyJWT, setMyWorkflow)
+  .delete(verifyJWT, resetMyWorkflow);
+router
+  .route("/calendar-feed")
+  .post(verifyJWT, regenerateCalendarFeed)
+  .delete(verifyJWT, revokeCalendarFeed);
+
+//Admin routes
+router.route("/").get(verifyJWT, authorizeRoles("admin"), getAllUsers);
+router
+  .route("/:id/deactivate")
+  .patch(verifyJWT, authorizeRoles("admin"), deactivateUser);
+router
+  .route("/:id/reactivate")
+  .patch(verifyJWT, authorizeRoles("admin"), reactivateUser);
+router
+  .route("/:id/role")
+  .patch(verifyJWT, authorizeRoles("admin"), updateUserRole);
 
 export default router;
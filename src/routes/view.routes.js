@@ -0,0 +1,19 @@
+import { Router } from "express";
+import {
+  createView,
+  getAllViews,
+  getViewById,
+  updateView,
+  deleteView,
+  getViewTasks,
+} from "../controllers/view.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").post(createView).get(getAllViews);
+router.route("/:id").get(getViewById).patch(updateView).delete(deleteView);
+router.route("/:id/tasks").get(getViewTasks);
+
+export default router;
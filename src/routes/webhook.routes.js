@@ -0,0 +1,27 @@
+import { Router } from "express";
+import {
+  createWebhook,
+  getAllWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+} from "../controllers/webhook.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+
+const router = Router();
+router.use(verifyJWT);
+
+router.route("/").post(createWebhook).get(getAllWebhooks);
+router
+  .route("/:id")
+  .get(getWebhookById)
+  .patch(updateWebhook)
+  .delete(deleteWebhook);
+router.route("/:id/rotate-secret").post(rotateWebhookSecret);
+router.route("/:id/deliveries").get(getWebhookDeliveries);
+router.route("/:id/deliveries/:deliveryId/replay").post(replayWebhookDelivery);
+
+export default router;
@@ -0,0 +1,73 @@
+import { issueUserToken } from "./userTokens.js";
+import { sendMail } from "./mailer.js";
+
+// Token lifetimes, read on use as .env loads after the imports
+const getPasswordResetTtl = () =>
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const getEmailVerificationTtl = () =>
+  Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+
+// Links in emails point at the frontend, which posts the token back
+const clientLink = (path, token) =>
+  `${process.env.CLIENT_URL || "http://localhost:5173"}${path}?token=${token}`;
+
+// "2 hours" or "90 minutes"
+const describeMinutes = (minutes) => {
+  const [amount, unit] =
+    minutes % 60 === 0 ? [minutes / 60, "hour"] : [minutes, "minute"];
+  return `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+};
+
+// Mail the user a link to confirm their email address
+const sendVerificationEmail = async (user) => {
+  const ttlMinutes = getEmailVerificationTtl();
+  const token = await issueUserToken(
+    user._id,
+    "email-verification",
+    ttlMinutes
+  );
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Please confirm your email address by opening this link:",
+      clientLink("/verify-email", token),
+      "",
+      `The link expires in ${describeMinutes(ttlMinutes)}.`,
+    ].join("\n"),
+  });
+};
+
+// Mail the user a link to choose a new password
+const sendPasswordResetEmail = async (user) => {
+  const ttlMinutes = getPasswordResetTtl();
+  const token = await issueUserToken(user._id, "password-reset", ttlMinutes);
+
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: [
+      `Hi ${user.fullName},`,
+      "",
+      "Someone asked to reset the password of your account. If it was you,",
+      "open this link to choose a new one:",
+      clientLink("/reset-password", token),
+      "",
+      `The link expires in ${describeMinutes(ttlMinutes)} and works once.`,
+      "If you did not ask for this, you can ignore this email.",
+    ].join("\n"),
+  });
+};
+
+// Whether users must verify their email before they can log in
+const isEmailVerificationRequired = () =>
+  process.env.REQUIRE_EMAIL_VERIFICATION === "true";
+
+export {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  isEmailVerificationRequired,
+};
@@ -0,0 +1,110 @@
+// RFC 4180 CSV helpers for task import and export
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Format one value as a CSV cell, quoting when needed. Cells that a
+// spreadsheet would treat as a formula get a leading apostrophe.
+const toCsvCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvCell).join(",") + "\r\n";
+
+// Undo the apostrophe toCsvCell adds in front of formula-like cells
+const unescapeCsvCell = (text) =>
+  /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+
+// Parse CSV text into rows of cells. Handles quoted cells with commas,
+// doubled quotes and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // skip a byte order mark
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted cell.");
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((value) => value.trim() !== ""));
+};
+
+// Parse CSV with a header row into objects keyed by the header names
+const parseCsvRecords = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+
+  const keys = header.map((key) => key.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(
+      keys.map((key, index) => [key, unescapeCsvCell(cells[index] ?? "")])
+    )
+  );
+};
+
+// Lists such as labels share one cell, separated by ", ". Commas and
+// backslashes inside a value are escaped with a backslash.
+const joinListCell = (values) =>
+  values.map((value) => String(value).replace(/[\\,]/g, "\\$&")).join(", ");
+
+// Split a list cell written by joinListCell, dropping empty values
+const splitListCell = (text) => {
+  const values = [];
+  let value = "";
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "\\" && i + 1 < text.length) {
+      value += text[++i];
+    } else if (text[i] === ",") {
+      values.push(value);
+      value = "";
+    } else {
+      value += text[i];
+    }
+  }
+  values.push(value);
+
+  return values.map((item) => item.trim()).filter(Boolean);
+};
+
+export { toCsvRow, parseCsv, parseCsvRecords, joinListCell, splitListCell };
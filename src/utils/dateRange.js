@@ -0,0 +1,191 @@
+import { ApiError } from "./ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Make sure a time zone is a valid IANA name such as "Europe/Berlin"
+const assertTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch {
+    throw new ApiError(400, `Unknown time zone: ${timeZone}.`);
+  }
+  return timeZone;
+};
+
+// Calendar date and weekday (0 = Sunday) of an instant in a time zone
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+    hourCycle: "h23",
+    weekday: "short",
+  }).formatToParts(date);
+
+  const value = (type) => parts.find((part) => part.type === type).value;
+
+  return {
+    year: Number(value("year")),
+    month: Number(value("month")),
+    day: Number(value("day")),
+    hour: Number(value("hour")),
+    minute: Number(value("minute")),
+    second: Number(value("second")),
+    weekday: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"].indexOf(
+      value("weekday")
+    ),
+  };
+};
+
+// How far a time zone is ahead of UTC at an instant, in milliseconds
+const getZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Instant of midnight on a calendar date in a time zone. Day overflow is
+// allowed, so day 32 of January is February 1st.
+const zonedMidnight = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - getZoneOffset(new Date(guess), timeZone);
+  // Correct once more in case the offset changes around that midnight
+  const midnight = new Date(guess - getZoneOffset(new Date(first), timeZone));
+
+  // Where clocks spring forward at midnight that midnight does not exist,
+  // and the result is an hour into the previous day. The day then starts
+  // at the switch, which is where midnight falls under the earlier offset.
+  const local = getZonedParts(midnight, timeZone);
+  if (Date.UTC(local.year, local.month - 1, local.day) < guess) {
+    return new Date(guess - getZoneOffset(midnight, timeZone));
+  }
+  return midnight;
+};
+
+// Start of the day containing an instant, `days` days later or earlier
+const startOfDay = (date, timeZone, days = 0) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month, day + days, timeZone);
+};
+
+// Start of the (Monday based) week containing an instant
+const startOfWeek = (date, timeZone, weeks = 0) => {
+  const { weekday } = getZonedParts(date, timeZone);
+  return startOfDay(date, timeZone, -((weekday + 6) % 7) + weeks * 7);
+};
+
+// Start of the month containing an instant
+const startOfMonth = (date, timeZone, months = 0) => {
+  const { year, month } = getZonedParts(date, timeZone);
+  return zonedMidnight(year, month + months, 1, timeZone);
+};
+
+// Parse a YYYY-MM-DD date as midnight in a time zone. Full timestamps are
+// taken as they are.
+const parseZonedDate = (value, timeZone, name = "Date") => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  const date = match
+    ? zonedMidnight(
+        Number(match[1]),
+        Number(match[2]),
+        Number(match[3]),
+        timeZone
+      )
+    : new Date(String(value));
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date.`);
+  }
+  return date;
+};
+
+// Calendar date of an instant in a time zone, as YYYY-MM-DD
+const formatZonedDate = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [
+    year,
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+};
+
+// Due date tokens saved views can use instead of fixed dates
+const DUE_DATE_TOKENS = [
+  "overdue",
+  "today",
+  "tomorrow",
+  "this-week",
+  "next-week",
+  "this-month",
+];
+
+// Accept "this week" and "This Week" as well as "this-week"
+const normalizeDateToken = (token) =>
+  String(token).trim().toLowerCase().replace(/\s+/g, "-");
+
+// Turn a due date token into a { from, to } range ending before `to`.
+// "overdue" only has an end: right now.
+const resolveDateToken = (
+  token,
+  { timeZone = "UTC", now = new Date() } = {}
+) => {
+  switch (normalizeDateToken(token)) {
+    case "overdue":
+      return { to: now };
+    case "today":
+      return {
+        from: startOfDay(now, timeZone),
+        to: startOfDay(now, timeZone, 1),
+      };
+    case "tomorrow":
+      return {
+        from: startOfDay(now, timeZone, 1),
+        to: startOfDay(now, timeZone, 2),
+      };
+    case "this-week":
+      return {
+        from: startOfWeek(now, timeZone),
+        to: startOfWeek(now, timeZone, 1),
+      };
+    case "next-week":
+      return {
+        from: startOfWeek(now, timeZone, 1),
+        to: startOfWeek(now, timeZone, 2),
+      };
+    case "this-month":
+      return {
+        from: startOfMonth(now, timeZone),
+        to: startOfMonth(now, timeZone, 1),
+      };
+    default:
+      throw new ApiError(
+        400,
+        `Due date must be one of: ${DUE_DATE_TOKENS.join(", ")}.`
+      );
+  }
+};
+
+export {
+  DAY_MS,
+  DUE_DATE_TOKENS,
+  assertTimeZone,
+  getZonedParts,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+  parseZonedDate,
+  formatZonedDate,
+  normalizeDateToken,
+  resolveDateToken,
+};
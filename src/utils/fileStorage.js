@@ -0,0 +1,70 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Storage backends share one interface so attachments can move off local
+// disk later without touching the controllers:
+//   save(buffer, { prefix, originalName }) -> key
+//   createReadStream(key)                  -> Readable
+//   remove(key)                            -> Promise<void>
+class LocalDiskStorage {
+  constructor(rootDir) {
+    this.name = "local";
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  // Resolve a key to a path, refusing anything outside the root folder
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return filePath;
+  }
+
+  async save(buffer, { prefix = "", originalName = "" } = {}) {
+    const extension = path.extname(originalName).toLowerCase();
+    const key = path.posix.join(prefix, `${crypto.randomUUID()}${extension}`);
+    const filePath = this.resolve(key);
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+
+    return key;
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.resolve(key));
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+}
+
+const storageDrivers = {
+  local: () => new LocalDiskStorage(process.env.ATTACHMENT_DIR || "uploads"),
+};
+
+let storage;
+
+// Get the configured storage backend (ATTACHMENT_STORAGE, default "local")
+const getFileStorage = () => {
+  if (!storage) {
+    const driver = process.env.ATTACHMENT_STORAGE || "local";
+    if (!storageDrivers[driver]) {
+      throw new Error(`Unknown attachment storage: ${driver}`);
+    }
+    storage = storageDrivers[driver]();
+  }
+
+  return storage;
+};
+
+// Register another storage backend, e.g. an object store client
+const registerFileStorage = (name, factory) => {
+  storageDrivers[name] = factory;
+  storage = undefined;
+};
+
+export { LocalDiskStorage, getFileStorage, registerFileStorage };
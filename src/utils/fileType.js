@@ -0,0 +1,89 @@
+import path from "path";
+
+// Signatures at the start of the file for the binary types we accept
+const SIGNATURES = [
+  {
+    type: "image/png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { type: "image/jpeg", bytes: [0xff, 0xd8, 0xff] },
+  { type: "image/gif", ascii: "GIF87a" },
+  { type: "image/gif", ascii: "GIF89a" },
+  { type: "application/pdf", ascii: "%PDF-" },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: "application/zip", bytes: [0x50, 0x4b, 0x05, 0x06] },
+  {
+    type: "application/x-ole-storage",
+    bytes: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1],
+  },
+];
+
+// Office formats share the ZIP and OLE containers, so the extension picks
+// which document type the container holds
+const ZIP_DOCUMENT_TYPES = {
+  ".docx":
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+const OLE_DOCUMENT_TYPES = {
+  ".doc": "application/msword",
+  ".xls": "application/vnd.ms-excel",
+};
+
+const TEXT_SAMPLE_BYTES = 8192;
+
+const startsWith = (buffer, bytes) =>
+  buffer.length >= bytes.length &&
+  bytes.every((byte, index) => buffer[index] === byte);
+
+// Text files have no signature: accept UTF-8 without NUL bytes
+const looksLikeText = (buffer) => {
+  const sample = buffer.subarray(0, TEXT_SAMPLE_BYTES);
+  if (sample.includes(0)) return false;
+
+  try {
+    // A multi-byte character cut off at the end of the sample is fine
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, {
+      stream: sample.length < buffer.length,
+    });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Work out a file's MIME type from its contents rather than trusting the
+// type the client declared. Returns null for anything unrecognised.
+const detectFileType = (buffer, originalName = "") => {
+  const extension = path.extname(originalName).toLowerCase();
+
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("latin1", 0, 4) === "RIFF" &&
+    buffer.toString("latin1", 8, 12) === "WEBP"
+  ) {
+    return "image/webp";
+  }
+
+  const match = SIGNATURES.find(({ bytes, ascii }) =>
+    startsWith(buffer, bytes ?? [...Buffer.from(ascii, "latin1")])
+  );
+
+  if (match?.type === "application/zip") {
+    return ZIP_DOCUMENT_TYPES[extension] ?? "application/zip";
+  }
+  if (match?.type === "application/x-ole-storage") {
+    return OLE_DOCUMENT_TYPES[extension] ?? null;
+  }
+  if (match) {
+    return match.type;
+  }
+
+  if (buffer.length && looksLikeText(buffer)) {
+    return extension === ".csv" ? "text/csv" : "text/plain";
+  }
+
+  return null;
+};
+
+export { detectFileType };
@@ -0,0 +1,66 @@
+// Minimal RFC 5545 writer for the task calendar feed
+
+// Escape a TEXT value
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Format a date as a UTC DATE-TIME, e.g. 20240501T090000Z
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Fold a content line so no line is longer than 75 octets, without
+// splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+// Build a calendar from components given as [name, [[property, value]...]]
+// pairs. Properties with an empty value are left out.
+const buildCalendar = (components, { name } = {}) => {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Task Manager//Task Feed//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  for (const [component, properties] of components) {
+    lines.push(`BEGIN:${component}`);
+    for (const [property, value] of properties) {
+      if (value === undefined || value === null || value === "") continue;
+      lines.push(`${property}:${value}`);
+    }
+    lines.push(`END:${component}`);
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
+
+export { escapeText, formatDateTime, buildCalendar };
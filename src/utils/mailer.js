@@ -0,0 +1,85 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Mail transports share one interface so a real provider can be plugged in
+// without touching the callers:
+//   send({ from, to, subject, text }) -> Promise<void>
+class ConsoleMailTransport {
+  constructor() {
+    this.name = "console";
+  }
+
+  async send({ from, to, subject, text }) {
+    console.log(
+      `[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n\n${text}\n`
+    );
+  }
+}
+
+// Writes each message to its own .eml file, handy in development
+class FileMailTransport {
+  constructor(dir) {
+    this.name = "file";
+    this.dir = path.resolve(dir);
+  }
+
+  async send({ from, to, subject, text }) {
+    const fileName = `${Date.now()}-${crypto.randomUUID()}.eml`;
+    const message = [
+      `From: ${from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      text,
+    ].join("\r\n");
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir, fileName), message);
+  }
+}
+
+const mailTransports = {
+  console: () => new ConsoleMailTransport(),
+  file: () => new FileMailTransport(process.env.MAIL_DIR || "mail"),
+};
+
+let transport;
+
+// Get the configured mail transport (MAIL_TRANSPORT, default "console")
+const getMailTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "console";
+    if (!mailTransports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = mailTransports[name]();
+  }
+
+  return transport;
+};
+
+// Register another mail transport, e.g. an SMTP or API client
+const registerMailTransport = (name, factory) => {
+  mailTransports[name] = factory;
+  transport = undefined;
+};
+
+// Send a plain text email from MAIL_FROM
+const sendMail = ({ to, subject, text }) =>
+  getMailTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@task-manager.local",
+    to,
+    subject,
+    text,
+  });
+
+export {
+  ConsoleMailTransport,
+  FileMailTransport,
+  getMailTransport,
+  registerMailTransport,
+  sendMail,
+};
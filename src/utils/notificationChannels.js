@@ -0,0 +1,56 @@
+import { sendMail } from "./mailer.js";
+
+// Notification channels share one interface:
+//   deliver(notification, recipient) -> Promise<void>
+// The notification is always stored; "in-app" only means it shows up in
+// the recipient's inbox, so its delivery has nothing left to do.
+const notificationChannels = {
+  "in-app": {
+    deliver: async () => {},
+  },
+  email: {
+    deliver: (notification, recipient) =>
+      sendMail({
+        to: recipient.email,
+        subject: notification.message,
+        text: `Hi ${recipient.fullName},\n\n${notification.message}\n`,
+      }),
+  },
+};
+
+const DEFAULT_CHANNELS = ["in-app"];
+
+// Names of the channels users can choose from
+const getChannelNames = () => Object.keys(notificationChannels);
+
+// Register another channel, e.g. push or chat messages
+const registerNotificationChannel = (name, channel) => {
+  notificationChannels[name] = channel;
+};
+
+// Send a stored notification out on each of its channels. A failing
+// channel is logged and does not stop the others.
+const deliverNotification = async (notification, recipient) => {
+  await Promise.all(
+    notification.channels.map(async (name) => {
+      const channel = notificationChannels[name];
+      if (!channel) return;
+
+      try {
+        await channel.deliver(notification, recipient);
+      } catch (error) {
+        console.log(
+          `Notification ${notification._id} failed on ${name}:`,
+          error.message
+        );
+      }
+    })
+  );
+};
+
+export {
+  DEFAULT_CHANNELS,
+  getChannelNames,
+  registerNotificationChannel,
+  deliverNotification,
+};
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { Project } from "../models/project.model.js";
+
+// Load a project and make sure the user holds one of the allowed roles
+const getProjectForMember = async (projectId, userId, allowedRoles) => {
+  if (!mongoose.isValidObjectId(projectId)) {
+    throw new ApiError(400, "Invalid project ID.");
+  }
+
+  const project = await Project.findById(projectId);
+  const role = project?.getMemberRole(userId);
+
+  // Hide projects from non-members altogether
+  if (!role) {
+    throw new ApiError(404, "Project not found.");
+  }
+
+  if (allowedRoles && !allowedRoles.includes(role)) {
+    throw new ApiError(403, "You do not have permission for this project.");
+  }
+
+  return { project, role };
+};
+
+// IDs of every project the user owns or is a member of
+const getMemberProjectIds = async (userId) => {
+  const projects = await Project.find({
+    $or: [{ owner: userId }, { "members.user": userId }],
+  }).select("_id");
+
+  return projects.map((project) => project._id);
+};
+
+export { getProjectForMember, getMemberProjectIds };
@@ -0,0 +1,64 @@
+// Fractional ranks keep a manual order without renumbering: a task dropped
+// between two others gets a key that sorts between theirs. Keys are base-36
+// strings compared as plain strings and never end in "0", so there is
+// always room for another key below any of them.
+const DIGITS = "0123456789abcdefghijklmnopqrstuvwxyz";
+const BASE = DIGITS.length;
+
+// Keys longer than this are a sign the column needs rebalancing
+const MAX_RANK_LENGTH = 16;
+
+// Key strictly between `lower` ("" for the start) and `upper` (null for the
+// end)
+const midpoint = (lower, upper) => {
+  if (upper !== null) {
+    // Keep the shared prefix and split what follows it
+    let n = 0;
+    while ((lower[n] || "0") === upper[n]) n++;
+    if (n > 0) {
+      return upper.slice(0, n) + midpoint(lower.slice(n), upper.slice(n));
+    }
+  }
+
+  const lowerDigit = lower ? DIGITS.indexOf(lower[0]) : 0;
+  const upperDigit = upper !== null ? DIGITS.indexOf(upper[0]) : BASE;
+
+  if (upperDigit - lowerDigit > 1) {
+    return DIGITS[Math.round((lowerDigit + upperDigit) / 2)];
+  }
+
+  // Neighbouring digits: a shorter prefix of `upper` may still fit
+  if (upper !== null && upper.length > 1) {
+    return upper.slice(0, 1);
+  }
+
+  return DIGITS[lowerDigit] + midpoint(lower.slice(1), null);
+};
+
+// Rank for an item placed after `before` and ahead of `after`; either may
+// be missing to place at the start or the end
+const rankBetween = (before, after) => {
+  const lower = before || "";
+  const upper = after || null;
+
+  if (upper !== null && lower >= upper) {
+    throw new Error(`Rank "${lower}" must sort before "${upper}"`);
+  }
+
+  return midpoint(lower, upper);
+};
+
+// Evenly spaced keys for `count` items, used to rebalance a column. Keys
+// share one length with two spare digits of room between neighbours, minus
+// any trailing zeros.
+const spreadRanks = (count) => {
+  let length = 2;
+  while (BASE ** length < (count + 1) * BASE * BASE) length++;
+
+  const step = Math.floor(BASE ** length / (count + 1));
+  return Array.from({ length: count }, (_, index) =>
+    ((index + 1) * step).toString(BASE).padStart(length, "0").replace(/0+$/, "")
+  );
+};
+
+export { MAX_RANK_LENGTH, rankBetween, spreadRanks };
@@ -0,0 +1,218 @@
+import { ApiError } from "./ApiError.js";
+import { Task } from "../models/task.model.js";
+import { recordRevision } from "./taskHistory.js";
+import { getTaskWorkflow } from "./workflow.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FREQUENCIES = ["daily", "weekly", "monthly", "interval"];
+
+// Weekdays arrive as an array in JSON bodies and as "1,3,5" in form data.
+// Returns null when none are given.
+const parseWeekdays = (weekdays) => {
+  if (weekdays === undefined || weekdays === null || weekdays === "") {
+    return null;
+  }
+
+  let values = weekdays;
+  if (typeof values === "string") {
+    values = values.split(",").map((value) => value.trim());
+  }
+
+  if (!Array.isArray(values)) {
+    throw new ApiError(400, "Weekdays must be a list of numbers.");
+  }
+  if (values.length === 0) {
+    return null;
+  }
+
+  return values.map((value) => {
+    const valid =
+      (typeof value === "number" && Number.isInteger(value)) ||
+      (typeof value === "string" && /^\d$/.test(value));
+    const day = Number(value);
+    if (!valid || day < 0 || day > 6) {
+      throw new ApiError(400, "Weekdays must be numbers from 0 (Sun) to 6.");
+    }
+    return day;
+  });
+};
+
+// Validate a recurrence rule from a request body and return a clean copy
+const parseRecurrence = (input, dueDate) => {
+  let rule = input;
+  if (typeof rule === "string") {
+    try {
+      rule = JSON.parse(rule);
+    } catch {
+      throw new ApiError(400, "Recurrence must be a JSON object.");
+    }
+  }
+
+  if (!rule || typeof rule !== "object") {
+    throw new ApiError(400, "Recurrence must be an object.");
+  }
+
+  const {
+    frequency,
+    interval = 1,
+    weekdays,
+    dayOfMonth,
+    endDate,
+    count,
+  } = rule;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new ApiError(
+      400,
+      `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}.`
+    );
+  }
+
+  if (!Number.isInteger(Number(interval)) || Number(interval) < 1) {
+    throw new ApiError(400, "Recurrence interval must be a positive integer.");
+  }
+
+  const start = new Date(dueDate);
+  const clean = { frequency, interval: Number(interval) };
+
+  if (frequency === "weekly") {
+    const days = parseWeekdays(weekdays) ?? [start.getUTCDay()];
+    clean.weekdays = [...new Set(days)].sort();
+  }
+
+  if (frequency === "monthly") {
+    const day = dayOfMonth ? Number(dayOfMonth) : start.getUTCDate();
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      throw new ApiError(400, "Day of month must be between 1 and 31.");
+    }
+    clean.dayOfMonth = day;
+  }
+
+  if (endDate) {
+    if (isNaN(new Date(endDate))) {
+      throw new ApiError(400, "Invalid recurrence end date.");
+    }
+    clean.endDate = new Date(endDate);
+  }
+
+  if (count !== undefined && count !== null) {
+    if (!Number.isInteger(Number(count)) || Number(count) < 1) {
+      throw new ApiError(400, "Recurrence count must be a positive integer.");
+    }
+    clean.count = Number(count);
+  }
+
+  return clean;
+};
+
+// Start of the UTC week (Sunday) containing a date
+const startOfWeek = (date) =>
+  Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) -
+  date.getUTCDay() * DAY_MS;
+
+// Work out the due date of the occurrence after the given one
+const getNextDueDate = (dueDate, rule) => {
+  const current = new Date(dueDate);
+
+  switch (rule.frequency) {
+    case "daily":
+    case "interval":
+      return new Date(current.getTime() + rule.interval * DAY_MS);
+
+    case "weekly": {
+      // Next listed weekday in this week, or in the week `interval` weeks on
+      const anchorWeek = startOfWeek(current);
+      for (let i = 1; i <= 7 * (rule.interval + 1); i++) {
+        const candidate = new Date(current.getTime() + i * DAY_MS);
+        const weeksApart = Math.round(
+          (startOfWeek(candidate) - anchorWeek) / (7 * DAY_MS)
+        );
+        if (
+          rule.weekdays.includes(candidate.getUTCDay()) &&
+          weeksApart % rule.interval === 0
+        ) {
+          return candidate;
+        }
+      }
+      return null;
+    }
+
+    case "monthly": {
+      // Clamp to the last day for months shorter than dayOfMonth
+      const next = new Date(current);
+      next.setUTCDate(1);
+      next.setUTCMonth(next.getUTCMonth() + rule.interval);
+      const lastDay = new Date(
+        Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+      ).getUTCDate();
+      next.setUTCDate(Math.min(rule.dayOfMonth, lastDay));
+      return next;
+    }
+
+    default:
+      return null;
+  }
+};
+
+// Create the next occurrence of a recurring task once it is done.
+// Returns the new task, or null when the series has ended.
+const createNextOccurrence = async (task, actorId, session = null) => {
+  if (!task.recurrence?.frequency) return null;
+
+  const workflow = await getTaskWorkflow(task);
+  if (!workflow.isDone(task.status)) return null;
+
+  const seriesId = task.seriesId || task._id;
+  const occurrenceIndex = (task.occurrenceIndex || 1) + 1;
+  const { recurrence } = task;
+
+  if (recurrence.count && occurrenceIndex > recurrence.count) return null;
+
+  const dueDate = getNextDueDate(task.dueDate, recurrence);
+  if (!dueDate || (recurrence.endDate && dueDate > recurrence.endDate)) {
+    return null;
+  }
+
+  // Completing the same occurrence twice must not fork the series
+  const existing = await Task.findOne({ seriesId, occurrenceIndex }).session(
+    session
+  );
+  if (existing) return null;
+
+  if (!task.seriesId) {
+    task.seriesId = seriesId;
+    task.occurrenceIndex = 1;
+    await task.save({ session });
+  }
+
+  const nextTask = new Task({
+    title: task.title,
+    description: task.description,
+    status: workflow.initialStatus,
+    priority: task.priority,
+    dueDate,
+    userId: task.userId,
+    projectId: task.projectId,
+    assignees: task.assignees,
+    shares: task.shares,
+    labels: task.labels,
+    checklist: task.checklist.map(({ text, order }) => ({ text, order })),
+    parentTaskId: task.parentTaskId,
+    autoCompleteFromSubtasks: task.autoCompleteFromSubtasks,
+    recurrence,
+    seriesId,
+    occurrenceIndex,
+  });
+  nextTask.$locals.workflow = workflow;
+  await nextTask.save({ session });
+
+  await recordRevision({
+    task: nextTask,
+    actor: actorId,
+    action: "create",
+    session,
+  });
+  return nextTask;
+};
+
+export { parseRecurrence, getNextDueDate, createNextOccurrence };
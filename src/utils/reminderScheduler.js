@@ -0,0 +1,236 @@
+import { Task } from "../models/task.model.js";
+import { User } from "../models/user.model.js";
+import { Notification } from "../models/notification.model.js";
+import { createWorkflowCache } from "./workflow.js";
+import {
+  DEFAULT_CHANNELS,
+  deliverNotification,
+} from "./notificationChannels.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Longest reminder offset a user can pick, in minutes
+const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+
+// Overdue reminders only go out for tasks that fell due this recently, so
+// turning reminders on does not flood users about long forgotten tasks
+const OVERDUE_LOOKBACK_MS = 7 * 24 * 60 * MINUTE_MS;
+
+const DEFAULT_SETTINGS = {
+  dueSoon: true,
+  overdue: true,
+  reminderOffsetMinutes: 24 * 60,
+  channels: DEFAULT_CHANNELS,
+};
+
+// A user's reminder settings with defaults for anything unset
+const getReminderSettings = (user) => ({
+  ...DEFAULT_SETTINGS,
+  ...user.notificationSettings,
+});
+
+// Most tasks handled by one sweep; the rest wait for the next one
+const SWEEP_BATCH_SIZE = 500;
+
+// Reminders a recipient wants for a task and when each becomes due. A
+// due-soon reminder is only sent before the task falls due.
+const remindersFor = (task, settings) => {
+  const dueAt = task.dueDate.getTime();
+  const reminders = [];
+
+  if (settings.dueSoon) {
+    reminders.push({
+      type: "due-soon",
+      at: dueAt - settings.reminderOffsetMinutes * MINUTE_MS,
+      until: dueAt,
+    });
+  }
+  if (settings.overdue) {
+    reminders.push({ type: "overdue", at: dueAt, until: Infinity });
+  }
+
+  return reminders;
+};
+
+const reminderMessages = {
+  "due-soon": (task) => `"${task.title}" is due soon.`,
+  overdue: (task) => `"${task.title}" is overdue.`,
+};
+
+const reminderKey = (recipientId, taskId, type, dueDate) =>
+  `${recipientId}:${taskId}:${type}:${dueDate.getTime()}`;
+
+// Create and deliver the due-soon and overdue reminders that are due. The
+// creator and assignees of each open task are reminded once per due date.
+// Only tasks whose nextReminderAt has come are looked at; each is then
+// given the time its next pending reminder falls due, or null.
+// Returns how many notifications were created.
+const runReminderSweep = async (now = new Date()) => {
+  const tasks = await Task.find({ nextReminderAt: { $lte: now } })
+    .select("title dueDate status userId projectId assignees nextReminderAt")
+    .sort({ nextReminderAt: 1 })
+    .limit(SWEEP_BATCH_SIZE);
+  if (!tasks.length) return 0;
+
+  // Tasks in a done status or overdue for too long need no reminder
+  const nextReminderAt = new Map(tasks.map((task) => [task, null]));
+  const workflowFor = createWorkflowCache();
+  const openTasks = [];
+  for (const task of tasks) {
+    if (
+      task.dueDate.getTime() >= now.getTime() - OVERDUE_LOOKBACK_MS &&
+      !(await workflowFor(task)).isDone(task.status)
+    ) {
+      openTasks.push(task);
+    }
+  }
+
+  const recipientsOf = (task) => [
+    ...new Set([task.userId, ...task.assignees].map(String)),
+  ];
+
+  const users = await User.find({
+    _id: { $in: [...new Set(openTasks.flatMap(recipientsOf))] },
+    isActive: true,
+  })
+    .select("email fullName notificationSettings")
+    .lean();
+  const usersById = new Map(users.map((user) => [String(user._id), user]));
+
+  // Skip reminders that already went out in an earlier sweep
+  const sent = await Notification.find({
+    recipient: { $in: users.map((user) => user._id) },
+    task: { $in: openTasks.map((task) => task._id) },
+    type: { $in: Object.keys(reminderMessages) },
+  })
+    .select("recipient task type dueDate")
+    .lean();
+  const sentKeys = new Set(
+    sent.map((n) => reminderKey(n.recipient, n.task, n.type, n.dueDate))
+  );
+
+  let created = 0;
+  for (const task of openTasks) {
+    for (const recipientId of recipientsOf(task)) {
+      const recipient = usersById.get(recipientId);
+      if (!recipient) continue;
+
+      const settings = getReminderSettings(recipient);
+      for (const { type, at, until } of remindersFor(task, settings)) {
+        if (
+          now.getTime() >= until ||
+          sentKeys.has(reminderKey(recipientId, task._id, type, task.dueDate))
+        ) {
+          continue;
+        }
+
+        // Not due yet: look at the task again when it is
+        if (at > now.getTime()) {
+          const next = nextReminderAt.get(task);
+          if (!next || at < next.getTime()) {
+            nextReminderAt.set(task, new Date(at));
+          }
+          continue;
+        }
+
+        let notification;
+        try {
+          notification = await Notification.create({
+            recipient: recipient._id,
+            type,
+            task: task._id,
+            dueDate: task.dueDate,
+            message: reminderMessages[type](task),
+            channels: settings.channels,
+          });
+        } catch (error) {
+          // Another server process got there first
+          if (error.code === 11000) continue;
+          throw error;
+        }
+
+        await deliverNotification(notification, recipient);
+        created++;
+      }
+    }
+  }
+
+  // Reschedule, unless the task was changed during the sweep and so is
+  // already due for another look
+  await Task.bulkWrite(
+    tasks.map((task) => ({
+      updateOne: {
+        filter: { _id: task._id, nextReminderAt: task.nextReminderAt },
+        update: { $set: { nextReminderAt: nextReminderAt.get(task) } },
+      },
+    }))
+  );
+
+  return created;
+};
+
+// Have the next sweep look again at the open tasks of a user whose
+// reminder settings changed
+const rescheduleUserReminders = (userId, now = new Date()) =>
+  Task.updateMany(
+    {
+      $or: [{ userId }, { assignees: userId }],
+      dueDate: { $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_MS) },
+    },
+    { $set: { nextReminderAt: now } }
+  );
+
+// Tasks from before nextReminderAt existed are looked at once
+const scheduleUnscheduledTasks = (now = new Date()) =>
+  Task.updateMany(
+    {
+      nextReminderAt: { $exists: false },
+      dueDate: { $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_MS) },
+    },
+    { $set: { nextReminderAt: now } }
+  );
+
+let timer;
+let sweeping = false;
+
+// Run one sweep unless the previous one is still going
+const sweep = async () => {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    await runReminderSweep();
+  } catch (error) {
+    console.log("Reminder sweep failed:", error.message);
+  } finally {
+    sweeping = false;
+  }
+};
+
+// Check for due reminders every REMINDER_INTERVAL_MS (default one minute)
+// inside this process. The timer does not keep the process alive.
+const startReminderScheduler = () => {
+  if (timer) return;
+
+  const interval = Number(process.env.REMINDER_INTERVAL_MS) || MINUTE_MS;
+  timer = setInterval(sweep, interval);
+  timer.unref();
+  scheduleUnscheduledTasks()
+    .catch((error) =>
+      console.log("Could not schedule reminders:", error.message)
+    )
+    .finally(sweep);
+};
+
+const stopReminderScheduler = () => {
+  clearInterval(timer);
+  timer = undefined;
+};
+
+export {
+  MAX_REMINDER_OFFSET_MINUTES,
+  runReminderSweep,
+  rescheduleUserReminders,
+  startReminderScheduler,
+  stopReminderScheduler,
+};
@@ -0,0 +1,172 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { ApiError } from "./ApiError.js";
+import { Session } from "../models/session.model.js";
+import { User } from "../models/user.model.js";
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+// Device details recorded on the session
+const describeClient = (req) => ({
+  userAgent: (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH),
+  ip: req.ip || "",
+});
+
+// Sign a token pair for a session. The refresh token carries a fresh ID,
+// which becomes the only one the session accepts.
+const signTokens = (user, sessionId) => {
+  const tokenId = crypto.randomUUID();
+  const accessToken = user.generateAccessToken(sessionId);
+  const refreshToken = user.generateRefreshToken(sessionId, tokenId);
+  const { exp } = jwt.decode(refreshToken);
+  if (!exp) {
+    throw new Error("Refresh tokens must have an expiry");
+  }
+
+  return {
+    accessToken,
+    refreshToken,
+    tokenId,
+    expiresAt: new Date(exp * 1000),
+  };
+};
+
+// Start a session for a user logging in on the requesting device
+const createSession = async (user, req) => {
+  const session = new Session({ user: user._id, ...describeClient(req) });
+  const { accessToken, refreshToken, tokenId, expiresAt } = signTokens(
+    user,
+    session._id
+  );
+
+  session.tokenId = tokenId;
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  return { accessToken, refreshToken, session };
+};
+
+// Exchange a refresh token for a new pair. A token that was already rotated
+// away means it leaked or was replayed, so the whole session is revoked and
+// every token descended from that login stops working.
+const rotateSession = async (incomingRefreshToken, req) => {
+  let decodedToken;
+  try {
+    decodedToken = jwt.verify(
+      incomingRefreshToken,
+      process.env.REFRESH_TOKEN_SECRET
+    );
+  } catch (error) {
+    throw new ApiError(401, error?.message || "Invalid refresh token");
+  }
+
+  const { _id: userId, sid: sessionId, jti: tokenId } = decodedToken;
+  if (!sessionId || !tokenId) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new ApiError(401, "Invalid refresh token");
+  }
+
+  if (!user.isActive) {
+    throw new ApiError(401, "User account is deactivated");
+  }
+
+  const next = signTokens(user, sessionId);
+
+  // Swap the token ID only if the presented one is still current
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      user: user._id,
+      tokenId,
+      revokedAt: { $exists: false },
+    },
+    {
+      $set: {
+        tokenId: next.tokenId,
+        expiresAt: next.expiresAt,
+        lastUsedAt: new Date(),
+        ...describeClient(req),
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    await Session.updateOne(
+      { _id: sessionId, user: user._id, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: "reuse" } }
+    );
+    throw new ApiError(401, "Refresh token is expired or used");
+  }
+
+  return {
+    accessToken: next.accessToken,
+    refreshToken: next.refreshToken,
+    session,
+  };
+};
+
+// Whether the session an access token belongs to is still live
+const isSessionActive = async (sessionId, userId) =>
+  Boolean(
+    await Session.exists({
+      _id: sessionId,
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+    })
+  );
+
+// Revoke one session of a user; returns false if there was none to revoke
+const revokeSession = async (userId, sessionId, reason = "revoked") => {
+  const result = await Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Revoke every session of a user, returning how many were revoked
+const revokeUserSessions = async (userId, reason = "logout-all") => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: { $exists: false } },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+  return result.modifiedCount;
+};
+
+// Active sessions of a user, most recently used first
+const listActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt expiresAt createdAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+// Users stored a single refresh token before sessions existed. The field is
+// gone from the schema, so remove the old values from the documents.
+const clearLegacyRefreshTokens = () =>
+  User.updateMany(
+    { refreshToken: { $exists: true } },
+    { $unset: { refreshToken: 1 } },
+    { strict: false }
+  );
+
+export {
+  clearLegacyRefreshTokens,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  listActiveSessions,
+};
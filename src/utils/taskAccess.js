@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { Task } from "../models/task.model.js";
+import { Project } from "../models/project.model.js";
+import { TASK_PERMISSIONS } from "../constants.js";
+
+// Permission level granted to each project role on the project's tasks
+const PROJECT_ROLE_PERMISSIONS = {
+  owner: "manage",
+  admin: "manage",
+  member: "edit",
+  viewer: "view",
+};
+
+// Minimum permission needed for each action on a task. Changing the status
+// is also open to assignees whatever their permission level.
+const ACTION_PERMISSIONS = {
+  read: "view",
+  comment: "comment",
+  status: "edit",
+  write: "edit",
+  manage: "manage",
+};
+
+const rank = (permission) => TASK_PERMISSIONS.indexOf(permission);
+
+// Work out the highest permission a user holds on a task, combining
+// ownership, project membership, assignment and sharing grants. Pass a
+// `session` to read inside a transaction.
+const getTaskPermission = async (task, userId, { session = null } = {}) => {
+  const isAssignee = task.assignees.some((id) => id.equals(userId));
+
+  if (task.userId.equals(userId)) {
+    return { permission: "manage", isAssignee };
+  }
+
+  const candidates = [];
+
+  if (task.projectId) {
+    const project = await Project.findById(task.projectId).session(session);
+    const role = project?.getMemberRole(userId);
+    if (role) candidates.push(PROJECT_ROLE_PERMISSIONS[role]);
+  }
+
+  const share = task.shares.find((s) => s.user.equals(userId));
+  if (share) candidates.push(share.permission);
+
+  if (isAssignee) candidates.push("comment");
+
+  const permission = candidates.reduce(
+    (best, current) => (rank(current) > rank(best) ? current : best),
+    null
+  );
+
+  return { permission, isAssignee };
+};
+
+// Check a user may perform an action on an already loaded task
+const assertTaskAccess = async (
+  task,
+  userId,
+  action = "read",
+  { session = null } = {}
+) => {
+  const { permission, isAssignee } = await getTaskPermission(task, userId, {
+    session,
+  });
+
+  // Hide tasks from users without any access
+  if (!permission) {
+    throw new ApiError(404, "Task not found.");
+  }
+
+  const allowed =
+    rank(permission) >= rank(ACTION_PERMISSIONS[action]) ||
+    (action === "status" && isAssignee);
+
+  if (!allowed) {
+    throw new ApiError(403, "You do not have permission to change this task.");
+  }
+
+  return permission;
+};
+
+// Load a task by ID and check the user may perform an action on it
+const findTaskForUser = async (
+  taskId,
+  userId,
+  action = "read",
+  { session = null } = {}
+) => {
+  if (!mongoose.isValidObjectId(taskId)) {
+    throw new ApiError(400, "Invalid task ID.");
+  }
+
+  const task = await Task.findById(taskId).session(session);
+  if (!task) {
+    throw new ApiError(404, "Task not found.");
+  }
+
+  await assertTaskAccess(task, userId, action, { session });
+  return task;
+};
+
+export { getTaskPermission, assertTaskAccess, findTaskForUser };
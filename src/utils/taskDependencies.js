@@ -0,0 +1,161 @@
+import { ApiError } from "./ApiError.js";
+import { Task } from "../models/task.model.js";
+import { getTaskPermission } from "./taskAccess.js";
+import { createWorkflowCache } from "./workflow.js";
+
+// Upper bound on how many tasks a dependency walk visits
+const MAX_GRAPH_NODES = 200;
+
+// Check whether making `taskId` blocked by `blockerId` would close a loop,
+// i.e. whether the blocker already waits on the task, directly or not
+const wouldCreateCycle = async (taskId, blockerId) => {
+  if (String(taskId) === String(blockerId)) return true;
+
+  const visited = new Set();
+  let frontier = [blockerId];
+
+  while (frontier.length) {
+    if (frontier.some((id) => String(id) === String(taskId))) return true;
+
+    frontier.forEach((id) => visited.add(String(id)));
+    const tasks = await Task.find({ _id: { $in: frontier } }).select(
+      "blockedBy"
+    );
+    frontier = tasks
+      .flatMap((task) => task.blockedBy)
+      .filter((id) => !visited.has(String(id)));
+  }
+
+  return false;
+};
+
+// Blockers of a task that are not done yet, each judged by its own workflow
+const getOpenBlockers = async (task) => {
+  if (!task.blockedBy?.length) return [];
+
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } }).select(
+    "title status userId projectId"
+  );
+  const workflowFor = createWorkflowCache();
+
+  const openBlockers = [];
+  for (const blocker of blockers) {
+    if (!(await workflowFor(blocker)).isDone(blocker.status)) {
+      openBlockers.push({
+        _id: blocker._id,
+        title: blocker.title,
+        status: blocker.status,
+      });
+    }
+  }
+
+  return openBlockers;
+};
+
+// Refuse to start or finish a task while its blockers are still open,
+// unless the caller explicitly overrides the check
+const assertNotBlocked = async (task, status, override, workflow) => {
+  if (!["in-progress", "done"].includes(workflow.categoryOf(status))) return;
+  if (override === true || override === "true") return;
+
+  const openBlockers = await getOpenBlockers(task);
+  if (openBlockers.length) {
+    throw new ApiError(
+      409,
+      "Task is blocked by tasks that are not done yet.",
+      openBlockers
+    );
+  }
+};
+
+// Walk the blocked-by links upstream and downstream of a task. Tasks the
+// user cannot see are shown only as numbered placeholders, so neither their
+// IDs nor their details leak.
+const getDependencyGraph = async (task, userId) => {
+  const nodes = new Map([[String(task._id), task]]);
+  const edges = new Map();
+
+  const addEdge = (blocker, blocked) =>
+    edges.set(`${blocker}>${blocked}`, {
+      from: String(blocker),
+      to: String(blocked),
+    });
+
+  // Upstream: what the task waits on
+  let frontier = [task];
+  while (frontier.length && nodes.size < MAX_GRAPH_NODES) {
+    const ids = frontier.flatMap((node) => {
+      node.blockedBy.forEach((blockerId) => addEdge(blockerId, node._id));
+      return node.blockedBy.filter((id) => !nodes.has(String(id)));
+    });
+    frontier = await Task.find({ _id: { $in: ids } });
+    frontier.forEach((node) => nodes.set(String(node._id), node));
+  }
+
+  // Downstream: what waits on the task
+  frontier = [task];
+  while (frontier.length && nodes.size < MAX_GRAPH_NODES) {
+    const blocked = await Task.find({
+      blockedBy: { $in: frontier.map((node) => node._id) },
+    });
+    blocked.forEach((node) =>
+      node.blockedBy
+        .filter((id) => frontier.some((f) => f._id.equals(id)))
+        .forEach((blockerId) => addEdge(blockerId, node._id))
+    );
+    frontier = blocked.filter((node) => !nodes.has(String(node._id)));
+    frontier.forEach((node) => nodes.set(String(node._id), node));
+  }
+
+  const visibleIds = new Set();
+  await Promise.all(
+    [...nodes.values()].map(async (node) => {
+      const { permission } = await getTaskPermission(node, userId);
+      if (permission) visibleIds.add(String(node._id));
+    })
+  );
+
+  // Replace every task ID the user may not see, including links to tasks
+  // that no longer exist, with a placeholder
+  const placeholders = new Map();
+  const publicId = (id) => {
+    const key = String(id);
+    if (visibleIds.has(key)) return key;
+    if (!placeholders.has(key)) {
+      placeholders.set(key, `hidden-${placeholders.size + 1}`);
+    }
+    return placeholders.get(key);
+  };
+
+  const graphNodes = [...nodes.values()].map((node) =>
+    visibleIds.has(String(node._id))
+      ? {
+          _id: node._id,
+          title: node.title,
+          status: node.status,
+          priority: node.priority,
+          dueDate: node.dueDate,
+        }
+      : { _id: publicId(node._id), hidden: true }
+  );
+  const graphEdges = [...edges.values()].map((edge) => ({
+    from: publicId(edge.from),
+    to: publicId(edge.to),
+  }));
+
+  return {
+    blockedBy: task.blockedBy.map(publicId),
+    blocking: graphEdges
+      .filter((edge) => edge.from === String(task._id))
+      .map((edge) => edge.to),
+    nodes: graphNodes,
+    edges: graphEdges,
+  };
+};
+
+export {
+  wouldCreateCycle,
+  getOpenBlockers,
+  assertNotBlocked,
+  getDependencyGraph,
+};
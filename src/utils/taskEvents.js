@@ -0,0 +1,73 @@
+import { EventEmitter } from "events";
+import { TaskEvent } from "../models/taskEvent.model.js";
+import { notifyWebhooks } from "./webhooks.js";
+
+// Live task events within this process, for realtime connections
+const taskEventBus = new EventEmitter();
+taskEventBus.setMaxListeners(0);
+
+const idOf = (value) => value?._id ?? value;
+
+// Record a task change, push it to realtime listeners and fire webhooks.
+// Handlers call this without waiting, and it never throws: a delivery
+// problem must not fail the change that caused it.
+const emitTaskEvent = async (event, task, { actorId, previousStatus } = {}) => {
+  const payload = JSON.parse(
+    JSON.stringify({
+      event,
+      occurredAt: new Date().toISOString(),
+      actorId: actorId ? String(actorId) : null,
+      task,
+      ...(previousStatus !== undefined && { previousStatus }),
+    })
+  );
+
+  try {
+    const record = await TaskEvent.create({
+      event,
+      task: task._id,
+      payload,
+      userId: idOf(task.userId),
+      projectId: idOf(task.projectId),
+      assignees: (task.assignees || []).map(idOf),
+      sharedWith: (task.shares || []).map((share) => idOf(share.user)),
+    });
+    taskEventBus.emit("event", record);
+  } catch (error) {
+    console.log(`Could not record ${event}:`, error.message);
+  }
+
+  await notifyWebhooks(event, task, payload);
+};
+
+// Listen for live task events. Returns a function that stops listening.
+const subscribeToTaskEvents = (listener) => {
+  taskEventBus.on("event", listener);
+  return () => taskEventBus.off("event", listener);
+};
+
+// Whether a user may see a recorded event, given the projects they belong to
+const canSeeTaskEvent = (record, userId, projectIds) =>
+  Boolean(record.userId?.equals(userId)) ||
+  record.assignees.some((id) => id.equals(userId)) ||
+  record.sharedWith.some((id) => id.equals(userId)) ||
+  Boolean(
+    record.projectId && projectIds.some((id) => id.equals(record.projectId))
+  );
+
+// Query matching the recorded events a user may see
+const visibleTaskEventsQuery = (userId, projectIds) => ({
+  $or: [
+    { userId },
+    { assignees: userId },
+    { sharedWith: userId },
+    { projectId: { $in: projectIds } },
+  ],
+});
+
+export {
+  emitTaskEvent,
+  subscribeToTaskEvents,
+  canSeeTaskEvent,
+  visibleTaskEventsQuery,
+};
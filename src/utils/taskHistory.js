@@ -0,0 +1,67 @@
+import { TaskRevision } from "../models/taskRevision.model.js";
+
+// Task fields recorded in the change history
+const TRACKED_FIELDS = [
+  "title",
+  "description",
+  "status",
+  "priority",
+  "dueDate",
+  "projectId",
+  "assignees",
+  "labels",
+  "parentTaskId",
+  "blockedBy",
+  "autoCompleteFromSubtasks",
+  "recurrence",
+];
+
+// Copy the tracked fields of a task into a plain object
+const snapshotTask = (task) => {
+  const source = task.toObject ? task.toObject() : task;
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    if (source[field] !== undefined && source[field] !== null) {
+      snapshot[field] = source[field];
+    }
+    return snapshot;
+  }, {});
+};
+
+// List the fields that differ between two snapshots
+const diffSnapshots = (before = {}, after = {}) =>
+  TRACKED_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  ).map((field) => ({
+    field,
+    before: before[field],
+    after: after[field],
+  }));
+
+// Record a revision of a task. `before` is the snapshot taken before the
+// change; deletes have no after state. Updates that change nothing are
+// skipped. Pass `session` to write inside a transaction.
+const recordRevision = async ({ task, actor, action, before, session }) => {
+  const after = action === "delete" ? undefined : snapshotTask(task);
+  const changes = diffSnapshots(before, after);
+
+  if (["update", "status"].includes(action) && !changes.length) {
+    return null;
+  }
+
+  const [revision] = await TaskRevision.create(
+    [
+      {
+        task: task._id,
+        actor,
+        action,
+        changes,
+        snapshot: after,
+      },
+    ],
+    { session }
+  );
+  return revision;
+};
+
+export { TRACKED_FIELDS, snapshotTask, recordRevision };
@@ -0,0 +1,104 @@
+import { Task } from "../models/task.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Attachment } from "../models/attachment.model.js";
+import { snapshotTask, recordRevision } from "./taskHistory.js";
+import { assertNotBlocked } from "./taskDependencies.js";
+import { completeParentIfDone } from "./taskProgress.js";
+import { createNextOccurrence } from "./recurrence.js";
+import { getTaskWorkflow, assertTransition } from "./workflow.js";
+
+// Task changes shared by the single-task handlers and bulk operations. All
+// of them accept a `session` so they can run inside a transaction.
+
+// Move a task to a new status, following its workflow and blockers, then
+// complete its parent and roll a recurring series forward where needed
+const changeTaskStatus = async (
+  task,
+  status,
+  { actorId, overrideBlockers, session = null } = {}
+) => {
+  // The move must be allowed by the task's workflow
+  const workflow = await getTaskWorkflow(task);
+  assertTransition(workflow, task.status, status);
+
+  // Tasks cannot start or finish while blockers are open, unless overridden
+  await assertNotBlocked(task, status, overrideBlockers, workflow);
+
+  const before = snapshotTask(task);
+  task.status = status;
+  task.$locals.workflow = workflow;
+  await task.save({ session });
+
+  await recordRevision({
+    task,
+    actor: actorId,
+    action: "status",
+    before,
+    session,
+  });
+
+  // Complete the parent task if this was its last open subtask
+  await completeParentIfDone(task, actorId, session);
+
+  // Roll a recurring task forward to its next occurrence
+  const nextOccurrence = await createNextOccurrence(task, actorId, session);
+
+  return { task, nextOccurrence };
+};
+
+// Apply field changes to a task and record them. Pass the task's
+// `workflow` when it is already known and the status may change.
+const updateTaskFields = async (
+  task,
+  fields,
+  { actorId, session = null, workflow } = {}
+) => {
+  const before = snapshotTask(task);
+  if (workflow) task.$locals.workflow = workflow;
+
+  // Only change the fields that were sent
+  Object.entries(fields).forEach(([field, value]) => {
+    if (value !== undefined) task.set(field, value);
+  });
+  await task.save({ session });
+
+  await recordRevision({
+    task,
+    actor: actorId,
+    action: "update",
+    before,
+    session,
+  });
+
+  return task;
+};
+
+// Delete a task and everything hanging off it. Subtasks become top-level
+// tasks and tasks it blocked are released. Returns a function that removes
+// the task's stored files, to call once the deletion is committed.
+const removeTask = async (task, { actorId, session = null } = {}) => {
+  await Task.deleteOne({ _id: task._id }, { session });
+  await recordRevision({
+    task,
+    actor: actorId,
+    action: "delete",
+    before: snapshotTask(task),
+    session,
+  });
+
+  await Task.updateMany(
+    { parentTaskId: task._id },
+    { $unset: { parentTaskId: 1 } },
+    { session }
+  );
+  await Task.updateMany(
+    { blockedBy: task._id },
+    { $pull: { blockedBy: task._id } },
+    { session }
+  );
+  await Comment.deleteMany({ task: task._id }, { session });
+
+  return Attachment.removeForTasks([task._id], { session });
+};
+
+export { changeTaskStatus, updateTaskFields, removeTask };
@@ -0,0 +1,102 @@
+import { Task } from "../models/task.model.js";
+import { snapshotTask, recordRevision } from "./taskHistory.js";
+import { createWorkflowCache, canTransition } from "./workflow.js";
+
+// Count children and done children for each of the given parent tasks
+const getSubtaskCounts = async (taskIds) => {
+  const subtasks = await Task.find({ parentTaskId: { $in: taskIds } }).select(
+    "parentTaskId status userId projectId"
+  );
+  const workflowFor = createWorkflowCache();
+  const counts = new Map();
+
+  for (const subtask of subtasks) {
+    const workflow = await workflowFor(subtask);
+    const key = String(subtask.parentTaskId);
+    const count = counts.get(key) || { total: 0, done: 0 };
+
+    count.total += 1;
+    if (workflow.isDone(subtask.status)) count.done += 1;
+    counts.set(key, count);
+  }
+
+  return counts;
+};
+
+// Build the progress summary of a task from its checklist and subtasks
+const buildProgress = (task, subtaskCount) => {
+  const checklist = {
+    done: task.checklist.filter((item) => item.done).length,
+    total: task.checklist.length,
+  };
+  const subtasks = {
+    done: subtaskCount?.done || 0,
+    total: subtaskCount?.total || 0,
+  };
+
+  const done = checklist.done + subtasks.done;
+  const total = checklist.total + subtasks.total;
+
+  return {
+    checklist,
+    subtasks,
+    done,
+    total,
+    percent: total ? Math.round((done / total) * 100) : 0,
+  };
+};
+
+// Return plain task objects with a progress summary attached
+const withProgress = async (tasks) => {
+  const counts = await getSubtaskCounts(tasks.map((task) => task._id));
+
+  return tasks.map((task) => ({
+    ...task.toObject(),
+    progress: buildProgress(task, counts.get(String(task._id))),
+  }));
+};
+
+// Complete the parent of a task once all of its subtasks are done, if the
+// parent asked for it. Walks up the tree as parents complete in turn.
+const completeParentIfDone = async (task, actorId, session = null) => {
+  if (!task?.parentTaskId) return;
+
+  const workflowFor = createWorkflowCache();
+  if (!(await workflowFor(task)).isDone(task.status)) return;
+
+  const parent = await Task.findById(task.parentTaskId).session(session);
+  if (!parent || !parent.autoCompleteFromSubtasks) return;
+
+  const parentWorkflow = await workflowFor(parent);
+  if (parentWorkflow.isDone(parent.status)) return;
+
+  const subtasks = await Task.find({ parentTaskId: parent._id })
+    .select("status userId projectId")
+    .session(session);
+  for (const subtask of subtasks) {
+    if (!(await workflowFor(subtask)).isDone(subtask.status)) return;
+  }
+
+  // Move to the first done status the parent's workflow allows
+  const doneStatus = parentWorkflow.doneStatuses.find((status) =>
+    canTransition(parentWorkflow, parent.status, status)
+  );
+  if (!doneStatus) return;
+
+  const before = snapshotTask(parent);
+  parent.status = doneStatus;
+  parent.$locals.workflow = parentWorkflow;
+  await parent.save({ session });
+
+  await recordRevision({
+    task: parent,
+    actor: actorId,
+    action: "status",
+    before,
+    session,
+  });
+
+  await completeParentIfDone(parent, actorId, session);
+};
+
+export { withProgress, completeParentIfDone };
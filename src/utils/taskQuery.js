@@ -0,0 +1,299 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+import { getProjectForMember } from "./projectAccess.js";
+import { escapeRegex } from "./textSearch.js";
+import { getDoneStatuses } from "./workflow.js";
+import { TASK_SORT_FIELDS } from "../constants.js";
+
+const PRIORITIES = ["High", "Medium", "Low"];
+
+// Resolve a "me" or user ID query value to a user ID
+const resolveUserParam = (value, userId) => {
+  if (value === "me") return userId;
+
+  if (!mongoose.isValidObjectId(value)) {
+    throw new ApiError(400, "Invalid user ID.");
+  }
+
+  return new mongoose.Types.ObjectId(value);
+};
+
+// Parse a list of IDs sent as an array or a comma separated string
+const parseIdList = (value, name) => {
+  const ids = Array.isArray(value)
+    ? value
+    : String(value)
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+
+  if (!ids.every((id) => mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, `Invalid ${name} ID.`);
+  }
+
+  return ids;
+};
+
+// Parse a filter that takes one value or several, comma separated
+const parseValueList = (value) =>
+  (Array.isArray(value) ? value : String(value).split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+// Parse a date query value such as 2024-05-01 or a full ISO timestamp
+const parseDateParam = (value, name) => {
+  const date = new Date(String(value));
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date.`);
+  }
+  return date;
+};
+
+// Parse a true/false query value
+const parseBooleanParam = (value, name) => {
+  if (!["true", "false"].includes(String(value))) {
+    throw new ApiError(400, `${name} must be true or false.`);
+  }
+  return String(value) === "true";
+};
+
+// Build the Mongo filter for the task list filters getAllTasks accepts.
+// Without a project, only tasks created by, assigned to or shared with the
+// user are matched.
+const buildTaskQuery = async (params, userId) => {
+  const {
+    status,
+    priority,
+    search,
+    projectId,
+    assignedTo,
+    createdBy,
+    assignee,
+    parentTaskId,
+    labels,
+    labelMatch = "any",
+    dueBefore,
+    dueAfter,
+    createdAfter,
+    createdBefore,
+    overdue,
+  } = params;
+
+  // Build query object - START WITH TASKS CREATED BY, ASSIGNED TO OR
+  // SHARED WITH THE USER
+  const query = {
+    $and: [
+      {
+        $or: [{ userId }, { assignees: userId }, { "shares.user": userId }],
+      },
+    ],
+  };
+
+  // Scope to a project instead when one is given and the user is a member
+  if (projectId) {
+    await getProjectForMember(projectId, userId);
+    query.$and = [];
+    query.projectId = new mongoose.Types.ObjectId(String(projectId));
+  }
+
+  // Add creator filter (createdBy=me or a user ID)
+  if (createdBy) {
+    query.userId = resolveUserParam(createdBy, userId);
+  }
+
+  // Add assignee filters (assignedTo=me or a user ID, assignee=user ID)
+  const assigneeIds = [assignedTo, assignee]
+    .filter(Boolean)
+    .map((value) => resolveUserParam(value, userId));
+
+  if (assigneeIds.length) {
+    query.assignees = { $all: assigneeIds };
+  }
+
+  // Add parent filter (parentTaskId=none for top-level tasks only)
+  if (parentTaskId === "none") {
+    query.parentTaskId = { $exists: false };
+  } else if (parentTaskId) {
+    if (!mongoose.isValidObjectId(parentTaskId)) {
+      throw new ApiError(400, "Invalid parent task ID.");
+    }
+    query.parentTaskId = new mongoose.Types.ObjectId(String(parentTaskId));
+  }
+
+  // Add label filter (labels=id1,id2 with labelMatch=any|all)
+  if (labels) {
+    if (!["any", "all"].includes(labelMatch)) {
+      throw new ApiError(400, "labelMatch must be either 'any' or 'all'.");
+    }
+
+    const labelIds = parseIdList(labels, "label").map(
+      (id) => new mongoose.Types.ObjectId(id)
+    );
+    query.labels =
+      labelMatch === "all" ? { $all: labelIds } : { $in: labelIds };
+  }
+
+  // Add status filter (status=pending,in-progress matches either)
+  if (status && status !== "all") {
+    const statuses = parseValueList(status);
+    query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+  }
+
+  // Add priority filter, one or several
+  if (priority && priority !== "all") {
+    const priorities = parseValueList(priority);
+    if (!priorities.every((value) => PRIORITIES.includes(value))) {
+      throw new ApiError(
+        400,
+        `Priority must be one of: ${PRIORITIES.join(", ")}.`
+      );
+    }
+    query.priority =
+      priorities.length === 1 ? priorities[0] : { $in: priorities };
+  }
+
+  // Add due date and creation date ranges
+  const dueDate = {};
+  if (dueAfter) dueDate.$gte = parseDateParam(dueAfter, "dueAfter");
+  if (dueBefore) dueDate.$lt = parseDateParam(dueBefore, "dueBefore");
+
+  const createdAt = {};
+  if (createdAfter) {
+    createdAt.$gte = parseDateParam(createdAfter, "createdAfter");
+  }
+  if (createdBefore) {
+    createdAt.$lt = parseDateParam(createdBefore, "createdBefore");
+  }
+
+  // Add overdue filter: past due and not in a done status
+  if (overdue !== undefined && overdue !== "") {
+    const doneStatuses = await getDoneStatuses({ userId, projectId });
+    const now = new Date();
+
+    if (parseBooleanParam(overdue, "overdue")) {
+      dueDate.$lt = dueDate.$lt && dueDate.$lt < now ? dueDate.$lt : now;
+      query.$and.push({ status: { $nin: doneStatuses } });
+    } else {
+      query.$and.push({
+        $or: [{ dueDate: { $gte: now } }, { status: { $in: doneStatuses } }],
+      });
+    }
+  }
+
+  if (Object.keys(dueDate).length) query.dueDate = dueDate;
+  if (Object.keys(createdAt).length) query.createdAt = createdAt;
+
+  // Add search filter, matched literally (ranked search lives at /search)
+  if (search && String(search).trim()) {
+    const pattern = escapeRegex(String(search).trim());
+    query.$and.push({
+      $or: [
+        { title: { $regex: pattern, $options: "i" } },
+        { description: { $regex: pattern, $options: "i" } },
+      ],
+    });
+  }
+
+  if (!query.$and.length) {
+    delete query.$and;
+  }
+
+  return query;
+};
+
+// Validate the sort settings of a task list
+const parseTaskSort = ({ sortBy = "dueDate", sortOrder = "asc" }) => {
+  if (!TASK_SORT_FIELDS.includes(sortBy)) {
+    throw new ApiError(
+      400,
+      `sortBy must be one of: ${TASK_SORT_FIELDS.join(", ")}.`
+    );
+  }
+  if (!["asc", "desc"].includes(sortOrder)) {
+    throw new ApiError(400, "sortOrder must be either 'asc' or 'desc'.");
+  }
+
+  return { sortBy, sortOrder, direction: sortOrder === "desc" ? -1 : 1 };
+};
+
+// Validate a positive whole number query value with an upper bound
+const parsePositiveInt = (value, name, max = Infinity) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new ApiError(
+      400,
+      max === Infinity
+        ? `${name} must be a positive whole number.`
+        : `${name} must be between 1 and ${max}.`
+    );
+  }
+  return number;
+};
+
+const DATE_SORT_FIELDS = ["dueDate", "createdAt", "updatedAt"];
+
+// Opaque cursor pointing just after a task in a sorted list. It remembers
+// the sort so it cannot be replayed against a different one.
+const encodeCursor = (task, { sortBy, sortOrder }) =>
+  Buffer.from(
+    JSON.stringify({
+      sortBy,
+      sortOrder,
+      value: task[sortBy],
+      id: String(task._id),
+    })
+  ).toString("base64url");
+
+// Turn a cursor back into a condition matching the tasks after it. Ties on
+// the sort field are broken by _id so no task is skipped or repeated.
+const cursorCondition = (cursor, { sortBy, sortOrder, direction }) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch {
+    throw new ApiError(400, "Invalid cursor.");
+  }
+
+  if (
+    !decoded ||
+    decoded.sortBy !== sortBy ||
+    decoded.sortOrder !== sortOrder ||
+    !mongoose.isValidObjectId(decoded.id)
+  ) {
+    throw new ApiError(400, "Cursor does not match this sort order.");
+  }
+
+  // The value goes into the query, so it must be a plain value of the
+  // field's type and never an operator object
+  let value = decoded.value;
+  if (DATE_SORT_FIELDS.includes(sortBy)) {
+    value = parseDateParam(value, "Cursor");
+  } else if (
+    typeof value !== "string" ||
+    (sortBy === "priority" && !PRIORITIES.includes(value))
+  ) {
+    throw new ApiError(400, "Invalid cursor.");
+  }
+  const id = new mongoose.Types.ObjectId(String(decoded.id));
+  const after = direction === 1 ? "$gt" : "$lt";
+
+  return {
+    $or: [
+      { [sortBy]: { [after]: value } },
+      { [sortBy]: value, _id: { [after]: id } },
+    ],
+  };
+};
+
+export {
+  resolveUserParam,
+  parseIdList,
+  parseValueList,
+  parseDateParam,
+  parseBooleanParam,
+  parsePositiveInt,
+  buildTaskQuery,
+  parseTaskSort,
+  encodeCursor,
+  cursorCondition,
+};
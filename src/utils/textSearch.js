@@ -0,0 +1,108 @@
+// Helpers for the task search endpoint. MongoDB's $text operator does the
+// matching and ranking; these only validate the query and build the
+// highlighted snippets shown with each result.
+
+// Characters of context kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Split a search string into words, "quoted phrases" and -excluded words,
+// the same syntax $search understands
+const parseSearchQuery = (input) => {
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+
+  const tokenPattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = tokenPattern.exec(input)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (phrase) (match[1] ? excluded : phrases).push(phrase);
+    } else if (match[3].startsWith("-")) {
+      if (match[3].length > 1) excluded.push(match[3].slice(1));
+    } else {
+      terms.push(match[3]);
+    }
+  }
+
+  return { terms, phrases, excluded };
+};
+
+// Pattern matching the words and phrases to highlight. Words also match
+// longer forms ("run" marks "running") since $text stems them.
+const buildHighlightPattern = ({ terms, phrases }) => {
+  const parts = [
+    ...phrases.map((phrase) => escapeRegex(phrase).replace(/\s+/g, "\\s+")),
+    ...terms.map((term) => `${escapeRegex(term)}\\w*`),
+  ];
+
+  if (!parts.length) return null;
+
+  // Longest first so a phrase wins over the words inside it
+  parts.sort((a, b) => b.length - a.length);
+  return new RegExp(`\\b(?:${parts.join("|")})`, "gi");
+};
+
+// Cut a window of text around the first match and wrap every match inside
+// it in <mark>. The rest of the text is HTML escaped so the snippet can be
+// rendered as is. Returns null when nothing matches.
+const highlightText = (text, pattern) => {
+  if (!text || !pattern) return null;
+
+  pattern.lastIndex = 0;
+  const first = pattern.exec(text);
+  if (!first) return null;
+
+  const start = Math.max(0, first.index - SNIPPET_CONTEXT);
+  const end = Math.min(
+    text.length,
+    first.index + first[0].length + SNIPPET_CONTEXT
+  );
+  const window = text.slice(start, end);
+
+  let snippet = "";
+  let cursor = 0;
+  const windowPattern = new RegExp(pattern.source, pattern.flags);
+  let match;
+  while ((match = windowPattern.exec(window)) !== null) {
+    if (!match[0]) {
+      windowPattern.lastIndex++;
+      continue;
+    }
+    snippet += escapeHtml(window.slice(cursor, match.index));
+    snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  snippet += escapeHtml(window.slice(cursor));
+
+  return `${start > 0 ? "…" : ""}${snippet}${end < text.length ? "…" : ""}`;
+};
+
+// Highlighted snippets for the title and description of a task
+const buildSnippets = (task, pattern) => {
+  const snippets = {};
+
+  for (const field of ["title", "description"]) {
+    const snippet = highlightText(task[field], pattern);
+    if (snippet) snippets[field] = snippet;
+  }
+
+  return snippets;
+};
+
+export {
+  escapeRegex,
+  parseSearchQuery,
+  buildHighlightPattern,
+  highlightText,
+  buildSnippets,
+};
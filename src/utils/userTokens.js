@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { ApiError } from "./ApiError.js";
+import { UserToken } from "../models/userToken.model.js";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+// Issue a token for a purpose, replacing any unused one the user still
+// holds for it. Only the hash is stored; the token itself is returned to
+// be mailed.
+const issueUserToken = async (userId, purpose, ttlMinutes) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await UserToken.deleteMany({
+    user: userId,
+    purpose,
+    usedAt: { $exists: false },
+  });
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+
+  return token;
+};
+
+// Use up a token and return the ID of the user it was issued to. Marking
+// it used and checking it happen in one step, so it works only once.
+const consumeUserToken = async (token, purpose) => {
+  if (!token || typeof token !== "string") {
+    throw new ApiError(400, "Token is required");
+  }
+
+  const now = new Date();
+  const record = await UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } }
+  );
+
+  if (!record) {
+    throw new ApiError(400, "Token is invalid or has expired");
+  }
+
+  return record.user;
+};
+
+export { issueUserToken, consumeUserToken };
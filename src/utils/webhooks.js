@@ -0,0 +1,192 @@
+import crypto from "crypto";
+import { Webhook } from "../models/webhook.model.js";
+import { WebhookDelivery } from "../models/webhookDelivery.model.js";
+import { getTaskPermission } from "./taskAccess.js";
+
+// Attempts before a delivery is given up (WEBHOOK_MAX_ATTEMPTS, default 6),
+// retried after 30s, 1m, 2m, ... Read on use, as .env loads after imports.
+const getMaxAttempts = () => Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How long an attempt holds its delivery before another process may retry
+const ATTEMPT_LEASE_MS = 60 * 1000;
+
+const generateWebhookSecret = () => crypto.randomBytes(32).toString("hex");
+
+// HMAC-SHA256 over "<timestamp>.<body>", so receivers can also reject old
+// payloads sent again
+const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const retryDelay = (attempts) => BASE_RETRY_DELAY_MS * 2 ** (attempts - 1);
+
+// Make one attempt at a delivery that is due. The delivery is claimed
+// first so no two processes send the same attempt.
+const attemptDelivery = async (deliveryId) => {
+  const now = new Date();
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", nextAttemptAt: { $lte: now } },
+    {
+      $set: { nextAttemptAt: new Date(now.getTime() + ATTEMPT_LEASE_MS) },
+      $inc: { attempts: 1 },
+    },
+    { new: true }
+  );
+  if (!delivery) return null;
+
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  if (!webhook || !webhook.active) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook is inactive or was removed.";
+    delivery.nextAttemptAt = undefined;
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "task-manager-webhooks",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(webhook.secret, timestamp, body)}`,
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+
+    delivery.responseStatus = response.status;
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with ${response.status}.`);
+    }
+
+    delivery.status = "succeeded";
+    delivery.deliveredAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    delivery.lastError = error.message;
+
+    if (delivery.attempts >= getMaxAttempts()) {
+      delivery.status = "failed";
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(
+        Date.now() + retryDelay(delivery.attempts)
+      );
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Queue a payload for a webhook and make the first attempt straight away
+const enqueueDelivery = async (webhook, event, payload, { replayOf } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    payload,
+    nextAttemptAt: new Date(),
+    replayOf,
+  });
+
+  attemptDelivery(delivery._id).catch((error) => {
+    console.log(`Webhook delivery ${delivery._id} failed:`, error.message);
+  });
+
+  return delivery;
+};
+
+// Queue an event payload for every active webhook subscribed to it whose
+// owner can see the task. Never throws, see utils/taskEvents.js.
+const notifyWebhooks = async (event, task, payload) => {
+  try {
+    const webhooks = await Webhook.find({ events: event, active: true });
+    if (!webhooks.length) return;
+
+    const canSee = new Map();
+    for (const webhook of webhooks) {
+      const ownerId = String(webhook.owner);
+      if (!canSee.has(ownerId)) {
+        const { permission } = await getTaskPermission(task, webhook.owner);
+        canSee.set(ownerId, Boolean(permission));
+      }
+
+      if (canSee.get(ownerId)) {
+        await enqueueDelivery(webhook, event, payload);
+      }
+    }
+  } catch (error) {
+    console.log(`Could not emit ${event}:`, error.message);
+  }
+};
+
+// Attempt every delivery whose retry is due
+const dispatchDueDeliveries = async () => {
+  const due = await WebhookDelivery.find({
+    status: "pending",
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .select("_id")
+    .sort({ nextAttemptAt: 1 })
+    .limit(50);
+
+  for (const delivery of due) {
+    await attemptDelivery(delivery._id);
+  }
+};
+
+let timer;
+let dispatching = false;
+
+const dispatch = async () => {
+  if (dispatching) return;
+  dispatching = true;
+
+  try {
+    await dispatchDueDeliveries();
+  } catch (error) {
+    console.log("Webhook dispatch failed:", error.message);
+  } finally {
+    dispatching = false;
+  }
+};
+
+// Retry due deliveries every WEBHOOK_DISPATCH_INTERVAL_MS (default ten
+// seconds) inside this process. Also picks up retries after a restart.
+const startWebhookDispatcher = () => {
+  if (timer) return;
+
+  const interval = Number(process.env.WEBHOOK_DISPATCH_INTERVAL_MS) || 10000;
+  timer = setInterval(dispatch, interval);
+  timer.unref();
+  dispatch();
+};
+
+const stopWebhookDispatcher = () => {
+  clearInterval(timer);
+  timer = undefined;
+};
+
+export {
+  generateWebhookSecret,
+  signPayload,
+  enqueueDelivery,
+  notifyWebhooks,
+  startWebhookDispatcher,
+  stopWebhookDispatcher,
+};
@@ -0,0 +1,190 @@
+import { ApiError } from "./ApiError.js";
+import { Workflow } from "../models/workflow.model.js";
+import { getMemberProjectIds } from "./projectAccess.js";
+
+// Workflow used by users and projects that have not configured their own
+const DEFAULT_WORKFLOW = {
+  statuses: [
+    { key: "pending", name: "Pending", category: "todo" },
+    { key: "in-progress", name: "In Progress", category: "in-progress" },
+    { key: "completed", name: "Completed", category: "done" },
+  ],
+  transitions: [],
+};
+
+const STATUS_CATEGORIES = ["todo", "in-progress", "done"];
+
+// Turn a workflow definition into the helpers controllers need
+const buildWorkflow = (definition, source) => {
+  const statuses = definition.statuses.map(({ key, name, category }) => ({
+    key,
+    name,
+    category,
+  }));
+  const transitions = definition.transitions.map(({ from, to }) => ({
+    from,
+    to,
+  }));
+
+  return {
+    source,
+    statuses,
+    transitions,
+    statusKeys: statuses.map((status) => status.key),
+    initialStatus: statuses[0].key,
+    doneStatuses: statuses
+      .filter((status) => status.category === "done")
+      .map((status) => status.key),
+    categoryOf: (key) =>
+      statuses.find((status) => status.key === key)?.category,
+    isDone: (key) =>
+      statuses.some(
+        (status) => status.key === key && status.category === "done"
+      ),
+  };
+};
+
+// Resolve the workflow for a project, or else the user's own workflow, or
+// else the default one
+const resolveWorkflow = async ({ userId, projectId }) => {
+  if (projectId) {
+    const projectWorkflow = await Workflow.findOne({ projectId });
+    if (projectWorkflow) return buildWorkflow(projectWorkflow, "project");
+  }
+
+  if (userId && !projectId) {
+    const userWorkflow = await Workflow.findOne({ owner: userId });
+    if (userWorkflow) return buildWorkflow(userWorkflow, "user");
+  }
+
+  return buildWorkflow(DEFAULT_WORKFLOW, "default");
+};
+
+// Workflow that governs a task: its project's, or its creator's
+const getTaskWorkflow = (task) =>
+  resolveWorkflow({ userId: task.userId, projectId: task.projectId });
+
+// Resolve task workflows once per project/user while handling many tasks
+const createWorkflowCache = () => {
+  const cache = new Map();
+
+  return (task) => {
+    const key = task.projectId
+      ? `project:${task.projectId}`
+      : `user:${task.userId}`;
+    if (!cache.has(key)) cache.set(key, getTaskWorkflow(task));
+    return cache.get(key);
+  };
+};
+
+// Statuses that count as done for a project's tasks, or, without a
+// project, for any task the user sees: their own workflow, the workflows of
+// their projects and the default one
+const getDoneStatuses = async ({ userId, projectId }) => {
+  if (projectId) {
+    return (await resolveWorkflow({ projectId })).doneStatuses;
+  }
+
+  const projectIds = await getMemberProjectIds(userId);
+  const workflows = await Workflow.find({
+    $or: [{ owner: userId }, { projectId: { $in: projectIds } }],
+  });
+
+  return [
+    ...new Set(
+      [DEFAULT_WORKFLOW, ...workflows].flatMap(
+        (workflow) => buildWorkflow(workflow, "any").doneStatuses
+      )
+    ),
+  ];
+};
+
+// Make sure a status exists in the workflow
+const assertValidStatus = (workflow, status) => {
+  if (!workflow.statusKeys.includes(status)) {
+    throw new ApiError(
+      400,
+      `Invalid status value. Allowed: ${workflow.statusKeys.join(", ")}.`
+    );
+  }
+};
+
+// Check whether the workflow allows moving from one status to another
+const canTransition = (workflow, from, to) =>
+  workflow.statusKeys.includes(to) &&
+  (from === to ||
+    !workflow.transitions.length ||
+    workflow.transitions.some(
+      (transition) => transition.from === from && transition.to === to
+    ));
+
+// Make sure the workflow allows moving a task from one status to another
+const assertTransition = (workflow, from, to) => {
+  assertValidStatus(workflow, to);
+
+  if (!canTransition(workflow, from, to)) {
+    throw new ApiError(
+      400,
+      `Moving a task from "${from}" to "${to}" is not allowed.`
+    );
+  }
+};
+
+// Validate a workflow definition sent by a client
+const parseWorkflowDefinition = ({ statuses, transitions = [] } = {}) => {
+  if (!Array.isArray(statuses) || !statuses.length) {
+    throw new ApiError(400, "A workflow needs at least one status.");
+  }
+
+  const keys = new Set();
+  const cleanStatuses = statuses.map((status) => {
+    const key = String(status?.key || "").trim();
+    const category = status?.category;
+
+    if (!key) {
+      throw new ApiError(400, "Every status needs a key.");
+    }
+    if (keys.has(key)) {
+      throw new ApiError(400, `Duplicate status key "${key}".`);
+    }
+    if (!STATUS_CATEGORIES.includes(category)) {
+      throw new ApiError(
+        400,
+        `Status category must be one of: ${STATUS_CATEGORIES.join(", ")}.`
+      );
+    }
+
+    keys.add(key);
+    return { key, name: String(status.name || key).trim(), category };
+  });
+
+  if (!cleanStatuses.some((status) => status.category === "done")) {
+    throw new ApiError(400, "At least one status must count as done.");
+  }
+
+  if (!Array.isArray(transitions)) {
+    throw new ApiError(400, "Transitions must be a list.");
+  }
+
+  const cleanTransitions = transitions.map(({ from, to } = {}) => {
+    if (!keys.has(from) || !keys.has(to)) {
+      throw new ApiError(400, "Transitions must use the workflow's statuses.");
+    }
+    return { from, to };
+  });
+
+  return { statuses: cleanStatuses, transitions: cleanTransitions };
+};
+
+export {
+  DEFAULT_WORKFLOW,
+  buildWorkflow,
+  resolveWorkflow,
+  getTaskWorkflow,
+  createWorkflowCache,
+  getDoneStatuses,
+  assertValidStatus,
+  canTransition,
+  assertTransition,
+  parseWorkflowDefinition,
+};